@@ -1,18 +1,27 @@
 #!/usr/bin/env node
 
+const fs = require('fs').promises;
 const TailwindPrefixBot = require('../src/index.js');
+const { CHECK_FORMATS, formatCheckResult } = require('../src/check-report');
+const { resolveProjectOptions } = require('../src/project-config');
+const { resolveGitScope, stageFiles } = require('../src/git');
+
+const COMMANDS = ['check', 'undo', 'runs'];
 
 async function main() {
   const args = process.argv.slice(2);
 
+  // Only flags that were given; the rest comes from the project config or the constructor defaults
   const options = {
-    prefix: 'two-',
     sourceDir: './',
-    filePatterns: ['**/*.html', '**/*.php', '**/*.css', '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx', '**/*.vue'],
-    excludePatterns: ['node_modules/**', 'vendor/**', '.git/**', 'dist/**', 'build/**'],
     backup: true,
     cleanBackupsFlag: false,
+    force: false,
   };
+  const positionals = [];
+  let toPrefix = null;
+  let configPath = null;
+  const gitOptions = { changed: false, staged: false, fixStaged: false, allowDirty: false };
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -22,12 +31,85 @@ async function main() {
       case '--dir':
         options.sourceDir = args[++i];
         break;
+      case '--config':
+        configPath = args[++i];
+        break;
       case '--no-backup':
         options.backup = false;
         break;
       case '--clean-backups':
         options.cleanBackupsFlag = true;
         break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--patch':
+        options.dryRun = true;
+        options.patchFile = args[++i];
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--transaction':
+        options.transaction = true;
+        break;
+      case '--tailwind-config':
+        options.tailwindConfig = args[++i];
+        break;
+      case '--class-detection':
+        options.classDetection = args[++i];
+        break;
+      case '--target-version':
+        options.targetVersion = args[++i];
+        break;
+      case '--remove-prefix':
+        options.removePrefix = args[++i];
+        break;
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--output':
+        options.output = args[++i];
+        break;
+      case '--from':
+        options.fromPrefix = args[++i];
+        break;
+      case '--to':
+        toPrefix = args[++i];
+        break;
+      case '--changed':
+        // The base ref is optional: `--changed`, `--changed main`
+        if (args[i + 1] && !args[i + 1].startsWith('-') && !COMMANDS.includes(args[i + 1])) {
+          gitOptions.changed = args[++i];
+        } else {
+          gitOptions.changed = true;
+        }
+        break;
+      case '--concurrency':
+        options.concurrency = args[++i];
+        break;
+      case '--cache':
+        options.cache = true;
+        break;
+      case '--cache-location':
+        options.cache = true;
+        options.cacheLocation = args[++i];
+        break;
+      case '--stats':
+        options.stats = true;
+        break;
+      case '--report':
+        options.report = args[++i];
+        break;
+      case '--staged':
+        gitOptions.staged = true;
+        break;
+      case '--fix-staged':
+        gitOptions.fixStaged = true;
+        break;
+      case '--allow-dirty':
+        gitOptions.allowDirty = true;
+        break;
       case '--test':
         const testBot = new TailwindPrefixBot(options);
         testBot.testLogic();
@@ -37,27 +119,164 @@ async function main() {
 Tailwind Class Prefix Bot
 
 Usage: tailwind-prefixify [options]
+       tailwind-prefixify undo [RUN_ID] [--force]
+       tailwind-prefixify runs list
+       tailwind-prefixify check [--format text|json|sarif] [--output FILE]
+
+Commands:
+  undo [RUN_ID]          Restore the files of a run (default: latest run)
+  runs list              List recorded runs and their backups
+  check                  Report classes a run would change and exit 1 if there are any
 
 Options:
-  --prefix PREFIX        Set the prefix to add (default: 'two-')
+  --prefix PREFIX        Set the prefix to add (default: 'tw-', 'tw' for v4)
   --dir DIRECTORY        Set the source directory (default: './')
+  --config FILE          Project config (default: tailwind-prefix.config.{js,json} or the
+                         "tailwindPrefix" key of package.json, found from --dir upward)
   --no-backup            Don't create backup files
   --clean-backups        Delete all .backup files
+  --dry-run              Print a unified diff instead of writing files
+  --transaction          Write nothing unless every file succeeds; roll back if writing fails
+  --patch FILE           Save the dry-run diff to FILE (for git apply)
+  --force                Let undo overwrite files changed after the run
+  --tailwind-config FILE Tailwind config used to recognize utilities (default: found from --dir upward)
+  --class-detection MODE 'tailwind' (only real utilities) or 'heuristic' (default: tailwind)
+  --target-version N     Tailwind major version, 3 or 4 (default: 3)
+  --remove-prefix PREFIX Strip PREFIX from classes instead of adding one
+  --from OLD --to NEW    Replace prefix OLD with NEW on classes that have it
+  --changed [REF]        Only process files changed since REF (default: HEAD, plus untracked files)
+  --staged               Only process files staged for commit
+  --fix-staged           Like --staged, then re-stage the rewritten files (for pre-commit hooks)
+  --allow-dirty          Run even when the working tree has uncommitted changes
+  --concurrency N        Worker threads transforming files (default: CPUs - 1, at most 8)
+  --cache                Skip files a previous run found needing no changes
+  --cache-location FILE  Cache file (default: .tailwind-prefix-cache.json in --dir; implies --cache)
+  --stats                Print a timing breakdown at the end
+  --report FILE          Write every changed and skipped class to FILE (.json or .html)
+  --format FORMAT        check output: text, json or sarif (default: text)
+  --output FILE          Write the check report to FILE instead of stdout
   --test                 Test the class processing logic with examples
   --help                 Show this help message
 
 Examples:
   tailwind-prefixify --prefix "my-"
   tailwind-prefixify --prefix "two-" --dir "./src"
+  tailwind-prefixify --config tailwind-prefix.config.json
   tailwind-prefixify --prefix "custom-" --no-backup
+  tailwind-prefixify --prefix "tw" --target-version 4
+  tailwind-prefixify --remove-prefix "tw-"
+  tailwind-prefixify --from "tw-" --to "app-"
+  tailwind-prefixify --dry-run
+  tailwind-prefixify --dry-run --report prefix-report.html
+  tailwind-prefixify --changed main
+  tailwind-prefixify --fix-staged
+  tailwind-prefixify --patch tailwind-prefix.patch
   tailwind-prefixify --clean-backups
+  tailwind-prefixify runs list
+  tailwind-prefixify undo
+  tailwind-prefixify check --prefix "tw-" --format sarif --output prefix.sarif
   tailwind-prefixify --test
         `);
         return;
+      default:
+        if (!args[i].startsWith('--')) positionals.push(args[i]);
+    }
+  }
+
+  if (Boolean(options.fromPrefix) !== Boolean(toPrefix)) {
+    throw new Error('--from and --to must be used together');
+  }
+  if (toPrefix) {
+    options.prefix = toPrefix;
+  }
+
+  const [command, ...commandArgs] = positionals;
+
+  if (options.format && !CHECK_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown --format ${options.format}. Use one of: ${CHECK_FORMATS.join(', ')}`);
+  }
+
+  // Keep log lines out of reports printed to stdout: machine-readable ones get none, and
+  // the text report's findings can still be piped into other tools
+  if (command === 'check' && !options.output) {
+    if (options.format && options.format !== 'text') {
+      options.logLevel = 'silent';
+    } else {
+      options.logToStderr = true;
     }
   }
 
-  const bot = new TailwindPrefixBot(options);
+  if (gitOptions.changed && (gitOptions.staged || gitOptions.fixStaged)) {
+    throw new Error('--changed cannot be combined with --staged or --fix-staged');
+  }
+
+  const project = resolveProjectOptions(options, { configPath });
+
+  // Limit runs and checks to the files git reports, and keep rewrites out of unrelated changes
+  let gitRoot = null;
+  if ((!command || command === 'check') && !options.cleanBackupsFlag) {
+    const gitScope = resolveGitScope(project.options.sourceDir || './', {
+      ...gitOptions,
+      writes: !command && !options.dryRun
+    });
+    gitRoot = gitScope.root;
+    project.options.onlyFiles = gitScope.onlyFiles;
+  }
+
+  const bot = new TailwindPrefixBot(project.options);
+  if (project.configFile) bot.log('info', `Using config: ${project.configFile}`);
+
+  if (command === 'check') {
+    const result = await bot.check();
+    const report = formatCheckResult(result, options.format || 'text', bot.describeChange());
+    if (options.output) {
+      await fs.writeFile(options.output, report);
+      console.log(`Check report saved to: ${options.output}`);
+    } else {
+      process.stdout.write(report);
+    }
+    if (options.stats) {
+      bot.printStats(console.error);
+    }
+    // 1 when classes need changes, 2 when files could not be checked
+    process.exitCode = result.errors.length > 0 ? 2 : result.findings.length > 0 ? 1 : 0;
+    return;
+  }
+
+  if (command === 'runs') {
+    if (commandArgs[0] !== 'list') {
+      throw new Error(`Unknown runs subcommand: ${commandArgs[0] || '(none)'}. Did you mean "runs list"?`);
+    }
+    const runs = await bot.listRuns();
+    if (runs.length === 0) {
+      console.log('No recorded runs');
+      return;
+    }
+    for (const run of runs) {
+      const status = run.restoredAt ? `undone ${run.restoredAt}` : 'active';
+      const change = run.mode === 'remove'
+        ? `removed "${run.fromPrefix}"`
+        : run.mode === 'rename' ? `prefix "${run.fromPrefix}" -> "${run.prefix}"` : `prefix "${run.prefix}"`;
+      console.log(`${run.runId}  ${run.createdAt}  ${change}  ${run.files.length} file(s)  ${status}`);
+    }
+    return;
+  }
+
+  if (command === 'undo') {
+    const result = await bot.restoreFromBackup(commandArgs[0] || null, { force: options.force });
+    console.log(`\nRestored ${result.restored} file(s) from run ${result.runId}`);
+    if (result.conflicts.length > 0) {
+      console.error(`\n${result.conflicts.length} file(s) changed after the run and were left untouched:`);
+      result.conflicts.forEach(file => console.error(`  ${file}`));
+      console.error('Re-run with --force to overwrite them.');
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command) {
+    throw new Error(`Unknown command: ${command}`);
+  }
 
   if (options.cleanBackupsFlag) {
     const deletedCount = await bot.cleanupBackups();
@@ -65,12 +284,45 @@ Examples:
     return;
   }
 
-  await bot.run();
-  await bot.updateTailwindConfig();
+  const succeeded = await bot.run();
+  if (!succeeded) {
+    process.exitCode = 1;
+  }
+
+  // A failed transaction wrote nothing, so the Tailwind config keeps matching the files
+  if (!succeeded && bot.transactional) {
+    return;
+  }
+
+  const configResults = await bot.updateTailwindConfig();
+  if (configResults.some(result => result.status === 'conflict')) {
+    process.exitCode = 1;
+  }
+
+  if (options.stats) {
+    bot.printStats();
+  }
+
+  if (gitOptions.fixStaged && !options.dryRun) {
+    stageFiles(gitRoot, bot.updatedFiles);
+    console.log(`\nRe-staged ${bot.updatedFiles.length} rewritten file(s)`);
+  }
+
+  if (options.dryRun) {
+    await bot.writePatches();
+    return;
+  }
+
+  if (!succeeded) {
+    console.error(`\n✖ ${bot.stats.errors} file(s) could not be processed; see the errors above`);
+    return;
+  }
 
-  console.log('\n🎉 Done! Your Tailwind classes now have the prefix.');
+  console.log(bot.mode === 'remove'
+    ? '\n🎉 Done! The prefix has been removed from your Tailwind classes.'
+    : '\n🎉 Done! Your Tailwind classes now have the prefix.');
   console.log('\nNext steps:');
-  console.log('1. Update your Tailwind config to use the same prefix');
+  console.log(`1. Check that your Tailwind ${bot.targetVersion === 4 ? 'CSS entry' : 'config'} uses the same prefix`);
   console.log('2. Rebuild your CSS with the new prefix');
   console.log('3. Test your application thoroughly');
   console.log('4. Remove backup files once everything works correctly');
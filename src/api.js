@@ -0,0 +1,125 @@
+// Loaded at the end of index.js, once TailwindPrefixBot is exported
+const TailwindPrefixBot = require('./index');
+const { TailwindClassRecognizer } = require('./tailwind/recognizer');
+
+/**
+ * Languages transformSource understands, mapped to the extension that selects their processor
+ */
+const LANGUAGES = {
+    html: '.html',
+    angular: '.component.html',
+    php: '.php',
+    blade: '.blade.php',
+    twig: '.twig',
+    jinja: '.jinja',
+    nunjucks: '.njk',
+    liquid: '.liquid',
+    erb: '.erb',
+    handlebars: '.hbs',
+    vue: '.vue',
+    svelte: '.svelte',
+    astro: '.astro',
+    markdown: '.md',
+    md: '.md',
+    mdx: '.mdx',
+    css: '.css',
+    scss: '.scss',
+    sass: '.sass',
+    less: '.less',
+    js: '.js',
+    javascript: '.js',
+    jsx: '.jsx',
+    ts: '.ts',
+    typescript: '.ts',
+    tsx: '.tsx'
+};
+
+// Recognizers are read-only once built, so calls with the same config can share one
+const recognizers = new WeakMap();
+const DEFAULT_CONFIG = {};
+
+/**
+ * Recognizer for a Tailwind config object and v4 CSS, built on first use
+ * @param {Object} config - Tailwind config object
+ * @param {string} css - v4 CSS-first configuration
+ * @param {number} version - Tailwind major version
+ * @returns {TailwindClassRecognizer} Recognizer
+ */
+function getRecognizer(config, css, version) {
+    if (!recognizers.has(config)) recognizers.set(config, new Map());
+    const byVersion = recognizers.get(config);
+    const key = `${version}\0${css}`;
+    if (!byVersion.has(key)) {
+        byVersion.set(key, new TailwindClassRecognizer({ config, css, version }));
+    }
+    return byVersion.get(key);
+}
+
+/**
+ * Build a bot for a single call. Nothing is read from or written to the filesystem: the
+ * Tailwind config comes from the options, never from disk.
+ * @param {Object} options - Transform options, see transformSource
+ * @returns {TailwindPrefixBot} Bot instance
+ */
+function createTransformer(options) {
+    const { tailwindConfig = DEFAULT_CONFIG, tailwindCss = '', ...botOptions } = options;
+    const bot = new TailwindPrefixBot({ ...botOptions, logLevel: 'silent', backup: false, dryRun: true });
+    bot.recognizer = getRecognizer(tailwindConfig, tailwindCss, bot.targetVersion);
+    return bot;
+}
+
+/**
+ * Prefix (or unprefix / reprefix) a whitespace-separated class list, keeping its spacing
+ * @param {string} classList - Classes such as `'flex hover:bg-red-500 card'`
+ * @param {Object} [options] - Same options as transformSource, without `language`
+ * @returns {string} Transformed class list
+ * @example
+ * transformClassList('flex hover:bg-red-500 card', { prefix: 'tw-' });
+ * // => 'tw-flex hover:tw-bg-red-500 card'
+ */
+function transformClassList(classList, options = {}) {
+    return createTransformer(options).prefixClassList(classList);
+}
+
+/**
+ * Transform source code in memory. Each call is independent: options apply to that call only,
+ * and no files, backups or Tailwind configs are read or written.
+ * @param {string} code - Source to transform
+ * @param {Object} options - Transform options
+ * @param {string} options.language - A key of LANGUAGES: html, angular, php, blade, twig, jinja, nunjucks,
+ *   liquid, erb, handlebars, vue, svelte, astro, markdown, mdx, css, scss, sass, less, js, jsx, ts or tsx
+ * @param {string} [options.prefix='tw-'] - Prefix to add ('tw' for Tailwind v4)
+ * @param {number} [options.targetVersion=3] - Tailwind major version
+ * @param {string} [options.removePrefix] - Strip this prefix instead of adding one
+ * @param {string} [options.fromPrefix] - Replace this prefix with `prefix`
+ * @param {string} [options.classDetection='tailwind'] - 'tailwind' or 'heuristic'
+ * @param {Array<string|RegExp>} [options.ignoreClasses] - Classes never to touch: names, globs or regexes
+ * @param {string[]} [options.classHelpers] - Functions whose arguments are class lists
+ * @param {Object} [options.classSinks] - More functions and methods taking classes: `{ classes, selectors }`
+ * @param {string[]} [options.classAttributes] - HTML attributes holding classes besides `class`
+ * @param {Object} [options.tailwindConfig] - Tailwind config object used to recognize utilities
+ * @param {string} [options.tailwindCss] - Tailwind v4 CSS with `@theme` and `@utility` rules
+ * @param {boolean} [options.skipped=false] - Also return the classes left unchanged
+ * @returns {{code: string, changes: Object[], warnings: string[], skipped?: Object[]}} Transformed
+ *   code, one `{ start, end, line, column, original, updated, rule }` entry per changed class,
+ *   warnings such as unparsable sections that were skipped, and when asked one
+ *   `{ start, end, line, column, className, reason, rule }` entry per unchanged class
+ * @throws {Error} If the language is not supported
+ * @example
+ * const { code, changes } = transformSource('<div class="flex card"></div>', { language: 'html' });
+ */
+function transformSource(code, options = {}) {
+    const { language, skipped = false, ...transformOptions } = options;
+    const fileExt = LANGUAGES[String(language).toLowerCase()];
+    if (!fileExt) {
+        throw new Error(`Unsupported language: ${language}. Use one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+
+    return createTransformer(transformOptions).transformContent(code, fileExt, { skipped });
+}
+
+module.exports = {
+    LANGUAGES,
+    transformClassList,
+    transformSource
+};
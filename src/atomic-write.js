@@ -0,0 +1,82 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Temp file next to a target, so renaming it over the target never crosses file systems
+ * @param {string} filePath - Target file
+ * @returns {string} Temp file path
+ */
+function getTempPath(filePath) {
+    const name = `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    return path.join(path.dirname(filePath), name);
+}
+
+/**
+ * Write content to a temp file next to its target, flushed to disk, with the target's mode.
+ * Symlinked targets are resolved so the rename replaces the linked file, not the link.
+ * @param {string} filePath - File the content is meant for
+ * @param {string} content - Content to write
+ * @returns {Promise<{tempPath: string, targetPath: string}>} Temp file and the real target path
+ */
+async function stageFile(filePath, content) {
+    const targetPath = await fs.realpath(filePath).catch(() => path.resolve(filePath));
+    const stat = await fs.stat(targetPath).catch(() => null);
+    const tempPath = getTempPath(targetPath);
+
+    const handle = await fs.open(tempPath, 'wx', stat ? stat.mode : 0o666);
+    try {
+        await handle.writeFile(content, 'utf8');
+        // The open mode is masked by the umask; keep the target's permissions exactly
+        if (stat) await handle.chmod(stat.mode);
+        await handle.sync();
+    } catch (error) {
+        await handle.close();
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+    await handle.close();
+    return { tempPath, targetPath };
+}
+
+/**
+ * Move a staged temp file over its target. The rename is atomic: readers see either the
+ * old or the new content, never a partial file.
+ * @param {{tempPath: string, targetPath: string}} staged - Result of stageFile
+ * @returns {Promise<void>}
+ */
+async function commitFile({ tempPath, targetPath }) {
+    try {
+        await fs.rename(tempPath, targetPath);
+    } catch (error) {
+        await discardFile({ tempPath });
+        throw error;
+    }
+}
+
+/**
+ * Remove a staged temp file without touching its target
+ * @param {{tempPath: string}} staged - Result of stageFile
+ * @returns {Promise<void>}
+ */
+async function discardFile({ tempPath }) {
+    await fs.unlink(tempPath).catch(() => {});
+}
+
+/**
+ * Write a file through a temp file and a rename, so a crash or a failed write never leaves
+ * it truncated or half-written
+ * @param {string} filePath - File to write
+ * @param {string} content - Content to write
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+    await commitFile(await stageFile(filePath, content));
+}
+
+module.exports = {
+    stageFile,
+    commitFile,
+    discardFile,
+    writeFileAtomic
+};
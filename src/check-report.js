@@ -0,0 +1,135 @@
+const { version, homepage } = require('../package.json');
+
+/**
+ * Output formats of the `check` command
+ */
+const CHECK_FORMATS = ['text', 'json', 'sarif'];
+
+const RULE_ID = 'tailwind-prefix';
+
+/**
+ * Human-readable report: one `file:line:column` line per finding, then a summary
+ * @param {Object} result - Result of TailwindPrefixBot#check
+ * @param {string} description - What the run would do, e.g. `adding prefix "tw-"`
+ * @returns {string} Report
+ */
+function formatText(result, description) {
+    const lines = result.findings.map(finding => {
+        const location = finding.line === null ? finding.file : `${finding.file}:${finding.line}:${finding.column}`;
+        return `${location}  ${finding.original} -> ${finding.updated}`;
+    });
+    for (const warning of result.warnings) lines.push(`${warning.file}  warning: ${warning.message}`);
+    for (const error of result.errors) lines.push(`${error.file}  error: ${error.message}`);
+
+    const files = new Set(result.findings.map(finding => finding.file)).size;
+    lines.push('');
+    lines.push(result.findings.length === 0
+        ? `✓ ${result.filesChecked} file(s) checked, no classes need changes (${description})`
+        : `✖ ${result.findings.length} class(es) in ${files} file(s) need changes (${description})`);
+    if (result.errors.length > 0) lines.push(`✖ ${result.errors.length} file(s) could not be checked`);
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Machine-readable JSON report
+ * @param {Object} result - Result of TailwindPrefixBot#check
+ * @param {string} description - What the run would do
+ * @returns {string} Report
+ */
+function formatJson(result, description) {
+    const summary = {
+        description,
+        filesChecked: result.filesChecked,
+        filesWithFindings: new Set(result.findings.map(finding => finding.file)).size,
+        findings: result.findings.length,
+        errors: result.errors.length
+    };
+    return JSON.stringify({ summary, ...result }, null, 2) + '\n';
+}
+
+/**
+ * SARIF 2.1.0 report, understood by GitHub code scanning and other CI annotators
+ * @param {Object} result - Result of TailwindPrefixBot#check
+ * @param {string} description - What the run would do
+ * @returns {string} Report
+ */
+function formatSarif(result, description) {
+    const toUri = file => file.split('\\').join('/');
+
+    const results = result.findings.map(finding => {
+        const physicalLocation = { artifactLocation: { uri: toUri(finding.file), uriBaseId: '%SRCROOT%' } };
+        if (finding.line !== null) {
+            physicalLocation.region = {
+                startLine: finding.line,
+                startColumn: finding.column,
+                endColumn: finding.endColumn
+            };
+        }
+        return {
+            ruleId: RULE_ID,
+            level: 'error',
+            message: { text: `Class "${finding.original}" should be "${finding.updated}" (${description})` },
+            locations: [{ physicalLocation }]
+        };
+    });
+
+    const notifications = [...result.warnings, ...result.errors.map(error => ({ ...error, isError: true }))]
+        .map(entry => ({
+            level: entry.isError ? 'error' : 'warning',
+            message: { text: entry.message },
+            locations: [{ physicalLocation: { artifactLocation: { uri: toUri(entry.file), uriBaseId: '%SRCROOT%' } } }]
+        }));
+
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'tailwind-prefixify',
+                    version,
+                    informationUri: homepage,
+                    rules: [{
+                        id: RULE_ID,
+                        name: 'TailwindPrefix',
+                        shortDescription: { text: 'Tailwind class does not match the project prefix' },
+                        helpUri: homepage
+                    }]
+                }
+            },
+            invocations: [{
+                executionSuccessful: result.errors.length === 0,
+                toolExecutionNotifications: notifications
+            }],
+            results
+        }]
+    };
+    return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+/**
+ * Format the result of a check
+ * @param {Object} result - Result of TailwindPrefixBot#check
+ * @param {string} format - 'text', 'json' or 'sarif'
+ * @param {string} description - What the run would do, e.g. `adding prefix "tw-"`
+ * @returns {string} Report
+ * @throws {Error} If the format is unknown
+ */
+function formatCheckResult(result, format, description) {
+    switch (format) {
+        case 'text':
+            return formatText(result, description);
+        case 'json':
+            return formatJson(result, description);
+        case 'sarif':
+            return formatSarif(result, description);
+        default:
+            throw new Error(`Unknown check format: ${format}. Use one of: ${CHECK_FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    CHECK_FORMATS,
+    formatCheckResult
+};
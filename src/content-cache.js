@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Persistent record of files known to need no changes. Entries are file content hashes and the
+ * whole cache is dropped when its fingerprint (tool version, prefix and other settings,
+ * Tailwind config) differs from the current run's.
+ */
+class ContentCache {
+    /**
+     * @param {string} cacheFile - Cache file path
+     * @param {string} fingerprint - Hash of everything besides the content that affects the result
+     */
+    constructor(cacheFile, fingerprint) {
+        this.cacheFile = cacheFile;
+        this.fingerprint = fingerprint;
+        this.files = {};
+        this.hits = 0;
+        this.dirty = false;
+    }
+
+    /**
+     * Read the cache file; a missing, unreadable or outdated cache starts empty
+     * @returns {Promise<ContentCache>} This cache
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+            if (data.fingerprint === this.fingerprint && data.files && typeof data.files === 'object') {
+                this.files = data.files;
+            }
+        } catch {
+            this.files = {};
+        }
+        return this;
+    }
+
+    /**
+     * Whether a file with this content is known to need no changes
+     * @param {string} filePath - File path
+     * @param {string} hash - Content hash
+     * @returns {boolean} True on a cache hit
+     */
+    isClean(filePath, hash) {
+        const hit = this.files[this.key(filePath)] === hash;
+        if (hit) this.hits++;
+        return hit;
+    }
+
+    /**
+     * Record that a file with this content needs no changes
+     * @param {string} filePath - File path
+     * @param {string} hash - Content hash
+     */
+    markClean(filePath, hash) {
+        this.files[this.key(filePath)] = hash;
+        this.dirty = true;
+    }
+
+    /**
+     * Cache key of a file: its path relative to the cache file
+     * @param {string} filePath - File path
+     * @returns {string} Key with forward slashes
+     */
+    key(filePath) {
+        return path.relative(path.dirname(this.cacheFile), path.resolve(filePath)).split(path.sep).join('/');
+    }
+
+    /**
+     * Write the cache file when it changed
+     * @returns {Promise<void>}
+     */
+    async save() {
+        if (!this.dirty) return;
+        await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+        await fs.writeFile(this.cacheFile, JSON.stringify({ fingerprint: this.fingerprint, files: this.files }) + '\n', 'utf8');
+        this.dirty = false;
+    }
+}
+
+module.exports = {
+    ContentCache
+};
@@ -0,0 +1,24 @@
+const path = require('path');
+const { ANGULAR_TEMPLATE_EXT } = require('./processors/angular');
+const { BLADE_TEMPLATE_EXT } = require('./processors/server-template');
+
+/**
+ * File name endings that select a processor more precisely than the last extension
+ */
+const COMPOUND_EXTENSIONS = [ANGULAR_TEMPLATE_EXT, BLADE_TEMPLATE_EXT];
+
+/**
+ * File type deciding how a file is processed: a compound extension such as
+ * `.component.html` or `.blade.php`, otherwise the lowercase extension
+ * @param {string} filePath - File path
+ * @returns {string} File type including the dot
+ */
+function getFileType(filePath) {
+    const lowerPath = filePath.toLowerCase();
+    return COMPOUND_EXTENSIONS.find(ext => lowerPath.endsWith(ext)) || path.extname(lowerPath);
+}
+
+module.exports = {
+    COMPOUND_EXTENSIONS,
+    getFileType
+};
@@ -0,0 +1,172 @@
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Run a git command and return its output
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {string} stdout
+ * @throws {Error} If git is missing or the command fails
+ */
+function git(args, cwd) {
+    try {
+        return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (error) {
+        const detail = error.stderr ? String(error.stderr).trim() : error.message;
+        throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+}
+
+/**
+ * Top-level directory of the repository containing a directory
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string|null} Absolute repository root, or null outside a repository
+ */
+function getRepoRoot(cwd) {
+    try {
+        return path.resolve(git(['rev-parse', '--show-toplevel'], cwd).trim());
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Whether the repository has a commit yet; right after `git init`, HEAD doesn't resolve
+ * @param {string} root - Repository root
+ * @returns {boolean} True if HEAD points at a commit
+ */
+function hasCommits(root) {
+    try {
+        git(['rev-parse', '--verify', '--quiet', 'HEAD'], root);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parse the NUL-separated paths of a `-z` command into absolute paths
+ * @param {string} output - Command output
+ * @param {string} root - Repository root the paths are relative to
+ * @returns {string[]} Absolute paths
+ */
+function parsePaths(output, root) {
+    return output.split('\0').filter(Boolean).map(file => path.resolve(root, file));
+}
+
+/**
+ * Files added, copied, modified or renamed since a ref, including uncommitted and untracked files
+ * @param {string} root - Repository root
+ * @param {string} [base='HEAD'] - Ref to compare with; for a branch such as `main` the comparison
+ *   starts at its merge base with HEAD, as in a pull request
+ * @returns {string[]} Absolute paths
+ */
+function getChangedFiles(root, base = 'HEAD') {
+    let changed;
+    if (base === 'HEAD') {
+        changed = getUncommittedFiles(root, ['--diff-filter=ACMR']);
+    } else {
+        const since = git(['merge-base', base, 'HEAD'], root).trim();
+        changed = parsePaths(git(['diff', '--name-only', '-z', '--diff-filter=ACMR', since], root), root);
+    }
+    return [...new Set([
+        ...changed,
+        ...parsePaths(git(['ls-files', '--others', '--exclude-standard', '-z'], root), root)
+    ])];
+}
+
+/**
+ * Files staged for the next commit (deleted files excluded)
+ * @param {string} root - Repository root
+ * @returns {string[]} Absolute paths
+ */
+function getStagedFiles(root) {
+    return parsePaths(git(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR'], root), root);
+}
+
+/**
+ * Tracked files with changes not yet staged
+ * @param {string} root - Repository root
+ * @returns {string[]} Absolute paths
+ */
+function getUnstagedFiles(root) {
+    return parsePaths(git(['diff', '--name-only', '-z'], root), root);
+}
+
+/**
+ * Tracked files with uncommitted changes, staged or not. Before the first commit that is
+ * every tracked file.
+ * @param {string} root - Repository root
+ * @param {string[]} [diffArgs=[]] - Extra `git diff` arguments, such as a `--diff-filter`
+ * @returns {string[]} Absolute paths
+ */
+function getUncommittedFiles(root, diffArgs = []) {
+    if (!hasCommits(root)) return parsePaths(git(['ls-files', '-z'], root), root);
+    return parsePaths(git(['diff', 'HEAD', '--name-only', '-z', ...diffArgs], root), root);
+}
+
+/**
+ * Stage files
+ * @param {string} root - Repository root
+ * @param {string[]} files - Absolute paths
+ */
+function stageFiles(root, files) {
+    if (files.length === 0) return;
+    git(['add', '--', ...files.map(file => path.relative(root, file))], root);
+}
+
+/**
+ * Work out which files a git-aware run may touch and check the working tree is clean enough
+ * for its rewrites to be reviewed on their own
+ * @param {string} sourceDir - Directory being processed
+ * @param {Object} settings - Git settings from the command line
+ * @param {string|boolean} [settings.changed] - Only files changed since this ref (true for HEAD)
+ * @param {boolean} [settings.staged] - Only staged files
+ * @param {boolean} [settings.fixStaged] - Only staged files, re-staged after rewriting
+ * @param {boolean} [settings.allowDirty] - Skip the clean working tree check
+ * @param {boolean} [settings.writes] - Whether the run writes files (not a dry run or check)
+ * @returns {{root: string|null, onlyFiles: string[]|null}} Repository root and the files to limit
+ *   the run to (null for all files)
+ * @throws {Error} Outside a repository when git is needed, or when the tree is dirty
+ */
+function resolveGitScope(sourceDir, { changed, staged, fixStaged, allowDirty, writes }) {
+    const root = getRepoRoot(sourceDir);
+    const stagedMode = Boolean(staged || fixStaged);
+    if (!root) {
+        if (changed || stagedMode) throw new Error(`${changed ? '--changed' : '--staged'} needs a git repository: ${sourceDir}`);
+        return { root: null, onlyFiles: null };
+    }
+
+    let onlyFiles = null;
+    if (changed) onlyFiles = getChangedFiles(root, changed === true ? 'HEAD' : changed);
+    if (stagedMode) onlyFiles = getStagedFiles(root);
+
+    if (writes && !allowDirty) {
+        const relative = files => files.map(file => `  ${path.relative(process.cwd(), file)}`).join('\n');
+        if (stagedMode) {
+            // Rewriting and re-staging a partly staged file would stage the unstaged part too
+            const unstaged = new Set(getUnstagedFiles(root));
+            const partlyStaged = onlyFiles.filter(file => unstaged.has(file));
+            if (partlyStaged.length > 0) {
+                throw new Error(`These staged files also have unstaged changes; stage or stash them, or pass --allow-dirty:\n${relative(partlyStaged)}`);
+            }
+        } else {
+            // With --changed, uncommitted changes to the selected files are the work being prefixed
+            const selected = new Set(onlyFiles || []);
+            const uncommitted = getUncommittedFiles(root).filter(file => !selected.has(file));
+            if (uncommitted.length > 0) {
+                throw new Error(`The working tree has uncommitted changes; commit or stash them so the rewrite can be reviewed on its own, or pass --allow-dirty:\n${relative(uncommitted)}`);
+            }
+        }
+    }
+
+    return { root, onlyFiles };
+}
+
+module.exports = {
+    getRepoRoot,
+    getChangedFiles,
+    getStagedFiles,
+    stageFiles,
+    resolveGitScope
+};
@@ -0,0 +1,42 @@
+const glob = require('glob');
+
+/**
+ * Match a glob pattern asynchronously, yielding files as the directory walk finds them
+ * @param {string} pattern - Glob pattern
+ * @param {Object} options - glob options
+ * @returns {AsyncGenerator<string>} Matched paths
+ */
+async function* globStream(pattern, options) {
+    const queue = [];
+    let done = false;
+    let failure = null;
+    let wake = null;
+    const notify = () => {
+        if (wake) wake();
+        wake = null;
+    };
+
+    const matcher = new glob.Glob(pattern, options);
+    matcher.on('match', (file) => { queue.push(file); notify(); });
+    matcher.on('end', () => { done = true; notify(); });
+    matcher.on('error', (error) => { failure = error; done = true; notify(); });
+
+    try {
+        while (true) {
+            if (queue.length > 0) {
+                yield queue.shift();
+                continue;
+            }
+            if (failure) throw failure;
+            if (done) return;
+            await new Promise(resolve => { wake = resolve; });
+        }
+    } finally {
+        // Stop walking when the consumer stops early
+        if (!done) matcher.abort();
+    }
+}
+
+module.exports = {
+    globStream
+};
@@ -0,0 +1,149 @@
+const { TEMPLATE_EXTENSIONS } = require('./processors/server-template');
+
+/**
+ * Directive comments, in the comment syntax of the file type (`/* *\/`, `//`, `<!-- -->`, `{{!-- --}}`, `{# #}`, `<%# %>`):
+ * - `tw-prefix-ignore-file` leaves the whole file alone
+ * - `tw-prefix-ignore-next-line` leaves the following line alone
+ * - `tw-prefix-ignore-start` ... `tw-prefix-ignore-end` leave the lines between alone
+ * - `tw-prefix-ignore: card btn` leaves these classes alone anywhere in the file
+ */
+const DIRECTIVE = /tw-prefix-ignore(?:-(file|next-line|start|end)\b|[ \t]*:([^\n]*))/g;
+
+/**
+ * Text closing the comment a `tw-prefix-ignore:` list is written in
+ * @type {RegExp}
+ */
+const COMMENT_END = /\*\/|-->|--\}\}|\}\}|#\}|\{%|%\}|%>|\?>/;
+
+/**
+ * Comment syntaxes, each matching a whole comment
+ */
+const COMMENTS = {
+    html: /<!--[\s\S]*?-->/,
+    block: /\/\*[\s\S]*?\*\//,
+    // Not the `//` of a URL such as `https://`
+    line: /(?<!:)\/\/[^\n]*/,
+    twig: /\{#[\s\S]*?#\}/,
+    blade: /\{\{--[\s\S]*?--\}\}/,
+    handlebars: /\{\{!(?:--[\s\S]*?--)?[\s\S]*?\}\}/,
+    erb: /<%#[\s\S]*?%>/,
+    liquid: /\{%-?\s*(?:comment\s*-?%\}[\s\S]*?\{%-?\s*endcomment|#)[\s\S]*?%\}/
+};
+
+/**
+ * Comment syntaxes of markup, including its `<script>` and `<style>` blocks
+ */
+const MARKUP_COMMENTS = ['html', 'block', 'line'];
+
+/**
+ * Extra comment syntaxes of each server-side template language, a value of TEMPLATE_EXTENSIONS
+ */
+const TEMPLATE_COMMENTS = {
+    php: [],
+    blade: ['blade'],
+    twig: ['twig'],
+    jinja: ['twig'],
+    liquid: ['liquid'],
+    erb: ['erb'],
+    handlebars: ['handlebars']
+};
+
+/**
+ * Comment syntaxes of each file type that isn't a server-side template
+ */
+const FILE_TYPE_COMMENTS = {
+    '.html': MARKUP_COMMENTS,
+    '.vue': MARKUP_COMMENTS,
+    '.svelte': MARKUP_COMMENTS,
+    '.astro': MARKUP_COMMENTS,
+    '.md': ['html'],
+    '.markdown': ['html'],
+    '.mdx': ['html', 'block'],
+    '.css': ['block'],
+    '.scss': ['block', 'line'],
+    '.sass': ['block', 'line'],
+    '.less': ['block', 'line'],
+    '.js': ['block', 'line'],
+    '.jsx': ['block', 'line'],
+    '.ts': ['block', 'line'],
+    '.tsx': ['block', 'line']
+};
+
+/**
+ * Regular expression matching the comments of a file type; unknown types accept every syntax
+ * @param {string} [fileType] - File type from getFileType
+ * @returns {RegExp} Global regular expression
+ */
+function getCommentPattern(fileType) {
+    let syntaxes = Object.keys(COMMENTS);
+    if (TEMPLATE_EXTENSIONS[fileType]) {
+        syntaxes = [...MARKUP_COMMENTS, ...TEMPLATE_COMMENTS[TEMPLATE_EXTENSIONS[fileType]]];
+    } else if (FILE_TYPE_COMMENTS[fileType]) {
+        syntaxes = FILE_TYPE_COMMENTS[fileType];
+    }
+    return new RegExp(syntaxes.map(syntax => COMMENTS[syntax].source).join('|'), 'g');
+}
+
+/**
+ * Find the ignore directives of a file. Only directives inside comments count, so code or
+ * prose that mentions a directive doesn't change how the file is processed.
+ * @param {string} content - File content
+ * @param {string} [fileType] - File type from getFileType, selecting the comment syntaxes
+ * @returns {{ignoreFile: boolean, ranges: number[][], classes: Set<string>}} Whether the whole file
+ *   is ignored, `[start, end)` offsets of ignored text, and classes ignored in the whole file
+ */
+function parseIgnoreDirectives(content, fileType) {
+    const directives = { ignoreFile: false, ranges: [], classes: new Set() };
+    if (!content.includes('tw-prefix-ignore')) return directives;
+
+    const lineEnd = (index) => {
+        const newline = content.indexOf('\n', index);
+        return newline === -1 ? content.length : newline;
+    };
+
+    let blockStart = null;
+    for (const comment of content.matchAll(getCommentPattern(fileType))) {
+        DIRECTIVE.lastIndex = 0;
+        let match;
+        while ((match = DIRECTIVE.exec(comment[0])) !== null) {
+            const [, kind, classList] = match;
+            const index = comment.index + match.index;
+
+            if (kind === 'file') {
+                directives.ignoreFile = true;
+            } else if (kind === 'next-line') {
+                const nextLineStart = lineEnd(index) + 1;
+                if (nextLineStart <= content.length) directives.ranges.push([nextLineStart, lineEnd(nextLineStart)]);
+            } else if (kind === 'start') {
+                if (blockStart === null) blockStart = index;
+            } else if (kind === 'end') {
+                if (blockStart !== null) directives.ranges.push([blockStart, index]);
+                blockStart = null;
+            } else {
+                classList.split(COMMENT_END)[0].trim().split(/\s+/)
+                    .filter(Boolean)
+                    .forEach(className => directives.classes.add(className));
+            }
+        }
+    }
+
+    // An unclosed block runs to the end of the file
+    if (blockStart !== null) directives.ranges.push([blockStart, content.length]);
+    return directives;
+}
+
+/**
+ * Whether a position falls in an ignored range
+ * @param {Object} directives - Result of parseIgnoreDirectives
+ * @param {number|null} offset - Position in the file, or null when unknown
+ * @returns {boolean} True if the position is ignored
+ */
+function isIgnoredOffset(directives, offset) {
+    if (offset === null) return false;
+    return directives.ranges.some(([start, end]) => offset >= start && offset < end);
+}
+
+module.exports = {
+    parseIgnoreDirectives,
+    isIgnoredOffset
+};
@@ -3,6 +3,29 @@ const path = require('path');
 const glob = require('glob');
 const os = require('os');
 const crypto = require('crypto');
+const Diff = require('diff');
+const { transformJs, DEFAULT_CLASS_HELPERS } = require('./processors/javascript');
+const { processSfc } = require('./processors/sfc');
+const { processStylesheet } = require('./processors/stylesheet');
+const { ANGULAR_TEMPLATE_EXT, processAngularTemplate } = require('./processors/angular');
+const { TEMPLATE_EXTENSIONS, processServerTemplate } = require('./processors/server-template');
+const { processHtml } = require('./processors/html');
+const { processMarkdown } = require('./processors/markdown');
+const { getFileType } = require('./file-type');
+const { TailwindClassRecognizer } = require('./tailwind/recognizer');
+const { findCssEntries, getImportPrefix, setImportPrefix } = require('./tailwind/css-entry');
+const { updateConfigPrefix, getConfigExt } = require('./tailwind/config-file');
+const { getReportFormat, createRunReport, formatRunReport } = require('./run-report');
+const { isCoreUtility } = require('./tailwind/utilities');
+const { parseClass, formatClass, getBareUtility } = require('./tailwind/class-syntax');
+const { createClassMatcher, isWithin } = require('./project-config');
+const { parseIgnoreDirectives, isIgnoredOffset } = require('./ignore-directives');
+const { getRepoRoot } = require('./git');
+const { WorkerPool } = require('./worker-pool');
+const { ContentCache } = require('./content-cache');
+const { globStream } = require('./glob-stream');
+const { stageFile, commitFile, discardFile, writeFileAtomic } = require('./atomic-write');
+const { version: TOOL_VERSION } = require('../package.json');
 
 /**
  * Enhanced Tailwind CSS class prefix bot with comprehensive error handling,
@@ -11,26 +34,64 @@ const crypto = require('crypto');
 class TailwindPrefixBot {
     /**
      * @param {Object} options - Configuration options
-     * @param {string} [options.prefix='tw-'] - Prefix to add to classes
+     * @param {string} [options.prefix='tw-'] - Prefix to add to classes ('tw' for Tailwind v4, where
+     *   a trailing dash is dropped)
      * @param {string} [options.sourceDir='./'] - Source directory to process
      * @param {string[]} [options.filePatterns] - File patterns to include
      * @param {string[]} [options.excludePatterns] - Patterns to exclude
-     * @param {string[]} [options.ignoreClasses] - Classes to ignore
+     * @param {Array<string|RegExp>} [options.ignoreClasses] - Classes to ignore: exact names, globs
+     *   (`fa-*`), RegExp objects or regex strings (`"/^swiper-/"`)
      * @param {boolean} [options.backup=true] - Create backup files
      * @param {boolean} [options.dryRun=false] - Preview changes without applying
      * @param {string} [options.logLevel='info'] - Logging level (silent, error, warn, info, debug)
-     * @param {boolean} [options.atomic=true] - Use atomic file operations
+     * @param {boolean} [options.logToStderr=false] - Write log lines to stderr, keeping stdout for reports
+     * @param {boolean} [options.atomic=true] - Write files through a temp file and a rename, so an
+     *   interrupted run never leaves a file half-written
+     * @param {boolean} [options.transaction=false] - Write nothing until every file has been processed
+     *   without errors, and roll back from the backups if writing fails part way
      * @param {string} [options.backupDir] - Custom backup directory
+     * @param {string} [options.patchFile] - Write dry-run diff to this file instead of stdout
+     * @param {string[]} [options.classHelpers] - Functions whose arguments are class lists (clsx, cva, ...)
+     * @param {Object} [options.classSinks] - More functions and methods taking classes, on top of the
+     *   DOM and jQuery ones: `{ classes: ['addClasses'], selectors: ['qs'] }`
+     * @param {string[]} [options.classAttributes] - HTML attributes holding classes besides `class`
+     *   (`tw`, `ui-classes`); bindings such as `:class` and `x-bind:class` are read as JavaScript
+     * @param {string} [options.classDetection='tailwind'] - 'tailwind' to prefix only classes Tailwind generates,
+     *   'heuristic' to guess from naming style
+     * @param {string} [options.tailwindConfig] - Tailwind config path (searched from sourceDir upward by default)
+     * @param {number} [options.targetVersion=3] - Tailwind major version: 3 writes `hover:tw-bg-red-500`
+     *   and updates tailwind.config.js, 4 writes `tw:hover:bg-red-500` and updates the CSS entry
+     * @param {string} [options.removePrefix] - Strip this prefix from classes instead of adding one
+     * @param {string} [options.fromPrefix] - Replace this prefix with `prefix` instead of adding one
+     * @param {string[]} [options.onlyFiles] - Only process these files (when they also match the patterns),
+     *   such as the files git reports as changed
+     * @param {number} [options.concurrency] - Worker threads transforming files (default: one less than
+     *   the number of CPUs, at most 8; 1 processes files on the main thread)
+     * @param {boolean} [options.cache=false] - Skip files a previous run found needing no changes
+     * @param {string} [options.cacheLocation] - Cache file (default: .tailwind-prefix-cache.json in sourceDir)
+     * @param {string} [options.report] - Write every change and skipped class of a run to this file,
+     *   as JSON (`.json`) or a browsable page (`.html`)
+     * @param {Object[]} [options.overrides] - Options for subdirectories such as monorepo packages:
+     *   `{ directory, ...options }`, with directory relative to sourceDir
      */
     constructor(options = {}) {
         // Validate and set options
         this.validateOptions(options);
-
-        this.prefix = options.prefix || 'tw-';
+        this.options = options;
+
+        this.targetVersion = Number(options.targetVersion || 3);
+        // 'add' a prefix, 'remove' one, or 'rename' fromPrefix to prefix
+        this.mode = options.removePrefix ? 'remove' : options.fromPrefix ? 'rename' : 'add';
+        this.fromPrefix = this.normalizePrefix(options.removePrefix || options.fromPrefix || null);
+        this.prefix = this.mode === 'remove'
+            ? null
+            : this.normalizePrefix(options.prefix || (this.targetVersion === 4 ? 'tw' : 'tw-'));
         this.sourceDir = path.resolve(options.sourceDir || './');
         this.filePatterns = options.filePatterns || [
-            '**/*.html', '**/*.php', '**/*.css', '**/*.scss', '**/*.sass',
-            '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx', '**/*.vue', '**/*.svelte'
+            '**/*.html', '**/*.php', '**/*.css', '**/*.scss', '**/*.sass', '**/*.less',
+            '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx', '**/*.vue', '**/*.svelte',
+            '**/*.twig', '**/*.erb', '**/*.njk', '**/*.jinja', '**/*.j2', '**/*.liquid',
+            '**/*.hbs', '**/*.handlebars', '**/*.astro', '**/*.mdx', '**/*.md'
         ];
         this.excludePatterns = options.excludePatterns || [
             'node_modules/**', 'vendor/**', '.git/**', 'dist/**', 'build/**',
@@ -39,11 +100,36 @@ class TailwindPrefixBot {
         this.ignoreClasses = options.ignoreClasses || [
             'swiper', 'swiper-wrapper', 'swiper-slide'
         ];
+        this.ignoreMatchers = this.ignoreClasses.map(createClassMatcher);
         this.backup = options.backup !== false;
         this.dryRun = options.dryRun || false;
         this.logLevel = options.logLevel || 'info';
+        this.logToStderr = Boolean(options.logToStderr);
         this.atomic = options.atomic !== false;
+        this.transactional = Boolean(options.transaction);
         this.backupDir = options.backupDir || path.join(this.sourceDir, '.tailwind-prefix-backups');
+        this.patchFile = options.patchFile || null;
+        this.classHelpers = options.classHelpers || DEFAULT_CLASS_HELPERS;
+        this.classAttributes = options.classAttributes || [];
+        this.classSinks = options.classSinks || {};
+        this.classDetection = options.classDetection || 'tailwind';
+        this.tailwindConfig = options.tailwindConfig || null;
+        this.concurrency = Number(options.concurrency || Math.max(1, Math.min(os.cpus().length - 1, 8)));
+        this.useCache = Boolean(options.cache);
+        this.cacheFile = path.resolve(this.sourceDir, options.cacheLocation || '.tailwind-prefix-cache.json');
+        this.cache = null;
+        this.onlyFiles = options.onlyFiles ? new Set(options.onlyFiles.map(file => path.resolve(file))) : null;
+        this.reportFile = options.report ? path.resolve(options.report) : null;
+        this.recognizer = null;
+
+        // Per-file changes and skipped classes of the current run (set by run when reportFile is set)
+        this.report = null;
+
+        // Changes and warnings of the content being processed (set by transformContent)
+        this.changeLog = null;
+
+        // tw-prefix-ignore directives of the content being processed (set by processContent)
+        this.directives = null;
 
         // Internal state
         this.stats = {
@@ -52,24 +138,44 @@ class TailwindPrefixBot {
             classesChanged: 0,
             errors: 0,
             startTime: null,
-            endTime: null
+            endTime: null,
+            // Worker threads used by the last run, and milliseconds per phase of the last run or check
+            workers: 0,
+            timings: { discovery: 0, read: 0, cache: 0, transform: 0, write: 0, config: 0, total: 0 }
         };
 
-        // Enhanced regex patterns for better class detection
-        this.patterns = {
-            // HTML class attributes (supports multi-line)
-            htmlClass: /class\s*=\s*["']([^"']*(?:\\.[^"']*)*)["']/gis,
-            // JSX className (handles template literals and expressions)
-            jsxClassName: /className\s*=\s*(?:["'`]([^"'`]*(?:\\.[^"'`]*)*)["'`]|\{([^}]+)\})/gis,
-            // CSS class selectors (more precise)
-            cssSelector: /(?<=^|[\s,{>+~])\.((?:[a-zA-Z0-9_-]+(?::[a-zA-Z0-9_-]+)*(?:\[[^\]]*\])?)+)/gm,
-            // @apply directives
-            cssApply: /@apply\s+([^;{}]+);?/gs,
-            // Arbitrary value patterns [value]
-            arbitraryValue: /\[[^\]]+\]/g,
-            // Group modifiers group-*:
-            groupModifier: /group-[^:]*:/g
-        };
+        // Override directories share the backups, manifest and patches of the top-level bot
+        this.parent = options.parent || null;
+
+        // Directory the paths of dry-run patches are relative to (set by getPatchRoot)
+        this.patchRoot = null;
+
+        // Unified diffs collected during a dry run
+        this.patches = this.parent ? this.parent.patches : [];
+
+        // Files written by the current run, including Tailwind configs
+        this.updatedFiles = this.parent ? this.parent.updatedFiles : [];
+
+        // Temp files of a transactional run waiting to be moved over their targets
+        this.staged = [];
+
+        // Current run and its backup manifest (set by startRun)
+        this.runId = null;
+        this.manifest = null;
+
+        // One bot per override directory, deepest first so getScope finds the closest
+        this.scopes = (options.overrides || [])
+            .map(override => {
+                const scopeOptions = { ...options, tailwindConfig: null, ...override };
+                delete scopeOptions.directory;
+                return new TailwindPrefixBot({
+                    ...scopeOptions,
+                    sourceDir: path.resolve(this.sourceDir, override.directory),
+                    overrides: [],
+                    parent: this
+                });
+            })
+            .sort((a, b) => b.sourceDir.length - a.sourceDir.length);
     }
 
     /**
@@ -78,15 +184,60 @@ class TailwindPrefixBot {
      * @throws {Error} If options are invalid
      */
     validateOptions(options) {
-        if (options.prefix && typeof options.prefix !== 'string') {
-            throw new Error('prefix must be a string');
+        if (options.targetVersion && ![3, 4].includes(Number(options.targetVersion))) {
+            throw new Error('targetVersion must be 3 or 4');
         }
-        if (options.prefix && !/^[a-zA-Z0-9_-]+$/.test(options.prefix.replace(/-$/, ''))) {
-            throw new Error('prefix must contain only alphanumeric characters, hyphens, and underscores');
+        if (options.removePrefix && options.fromPrefix) {
+            throw new Error('removePrefix and fromPrefix cannot be used together');
+        }
+        for (const key of ['prefix', 'removePrefix', 'fromPrefix']) {
+            if (options[key] && typeof options[key] !== 'string') {
+                throw new Error(`${key} must be a string`);
+            }
+            if (options[key] && Number(options.targetVersion) === 4 && !/^[a-z]+$/.test(options[key].replace(/-$/, ''))) {
+                throw new Error(`Tailwind v4 prefixes must contain only lowercase letters (${key})`);
+            }
+            if (options[key] && !/^[a-zA-Z0-9_-]+$/.test(options[key].replace(/-$/, ''))) {
+                throw new Error(`${key} must contain only alphanumeric characters, hyphens, and underscores`);
+            }
+        }
+        if (options.fromPrefix && options.fromPrefix === options.prefix) {
+            throw new Error('fromPrefix and prefix must differ');
         }
         if (options.sourceDir && typeof options.sourceDir !== 'string') {
             throw new Error('sourceDir must be a string');
         }
+        if (options.concurrency !== undefined && !(Number.isInteger(Number(options.concurrency)) && Number(options.concurrency) >= 1)) {
+            throw new Error('concurrency must be a positive integer');
+        }
+        if (options.ignoreClasses && !Array.isArray(options.ignoreClasses)) {
+            throw new Error('ignoreClasses must be an array');
+        }
+        if (options.classAttributes && (!Array.isArray(options.classAttributes)
+            || options.classAttributes.some(name => typeof name !== 'string' || !/^[^\s"'>/=]+$/.test(name)))) {
+            throw new Error('classAttributes must be an array of attribute names');
+        }
+        if (options.classSinks !== undefined) {
+            const { classSinks } = options;
+            if (!classSinks || typeof classSinks !== 'object' || Array.isArray(classSinks)
+                || Object.keys(classSinks).some(key => !['classes', 'selectors'].includes(key))
+                || Object.values(classSinks).some(names => !Array.isArray(names) || names.some(name => typeof name !== 'string'))) {
+                throw new Error('classSinks must be an object with "classes" and "selectors" arrays of function names');
+            }
+        }
+        if (options.overrides && (!Array.isArray(options.overrides)
+            || options.overrides.some(override => !override || typeof override.directory !== 'string'))) {
+            throw new Error('overrides must be an array of objects with a directory');
+        }
+        if (options.report) {
+            getReportFormat(options.report);
+        }
+        if (options.transaction && options.backup === false) {
+            throw new Error('transaction needs backups to roll back from');
+        }
+        if (options.classDetection && !['tailwind', 'heuristic'].includes(options.classDetection)) {
+            throw new Error('classDetection must be one of: tailwind, heuristic');
+        }
         if (options.logLevel && !['silent', 'error', 'warn', 'info', 'debug'].includes(options.logLevel)) {
             throw new Error('logLevel must be one of: silent, error, warn, info, debug');
         }
@@ -100,12 +251,12 @@ class TailwindPrefixBot {
      */
     log(level, message, ...args) {
         const levels = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
-        const currentLevel = levels[this.logLevel] || 3;
+        const currentLevel = this.logLevel in levels ? levels[this.logLevel] : 3;
 
         if (levels[level] <= currentLevel) {
             const timestamp = new Date().toISOString();
             const prefix = `[${timestamp}] [${level.toUpperCase()}]`;
-            console.log(`${prefix} ${message}`, ...args);
+            (this.logToStderr ? console.error : console.log)(`${prefix} ${message}`, ...args);
         }
     }
 
@@ -124,38 +275,67 @@ class TailwindPrefixBot {
     }
 
     /**
-     * Get all files matching the patterns with enhanced error handling
-     * @returns {Promise<string[]>} Array of file paths
+     * Find the files matching the patterns, yielding each one as soon as the directory walk
+     * reaches it so processing can start before the scan finishes
+     * @returns {AsyncGenerator<string>} Absolute file paths
+     * @throws {Error} If the source directory is not accessible
      */
-    async getFiles() {
-        try {
-            // Check if source directory exists
-            if (!(await this.checkDirectoryAccess(this.sourceDir))) {
-                throw new Error(`Source directory not accessible: ${this.sourceDir}`);
-            }
+    async *discoverFiles() {
+        if (!(await this.checkDirectoryAccess(this.sourceDir))) {
+            throw new Error(`Source directory not accessible: ${this.sourceDir}`);
+        }
 
-            const allFiles = [];
-            this.log('debug', `Scanning patterns: ${this.filePatterns.join(', ')}`);
-            this.log('debug', `Excluding patterns: ${this.excludePatterns.join(', ')}`);
+        this.log('debug', `Scanning patterns: ${this.filePatterns.join(', ')}`);
+        this.log('debug', `Excluding patterns: ${this.excludePatterns.join(', ')}`);
 
-            for (const pattern of this.filePatterns) {
-                try {
-                    const files = glob.sync(pattern, {
-                        cwd: this.sourceDir,
-                        ignore: this.excludePatterns,
-                        absolute: true,
-                        nodir: true // Only files, not directories
-                    });
-                    allFiles.push(...files);
-                    this.log('debug', `Pattern '${pattern}' matched ${files.length} files`);
-                } catch (error) {
-                    this.log('warn', `Failed to process pattern '${pattern}': ${error.message}`);
+        // Override directories are scanned with their own patterns below
+        const scopeIgnores = this.scopes.map(scope => path.relative(this.sourceDir, scope.sourceDir).split(path.sep).join('/') + '/**');
+
+        const seen = new Set();
+        const accept = (file) => {
+            const resolved = path.resolve(file);
+            if (seen.has(resolved) || (this.onlyFiles && !this.onlyFiles.has(resolved))) return false;
+            seen.add(resolved);
+            return true;
+        };
+
+        for (const pattern of this.filePatterns) {
+            let matched = 0;
+            try {
+                const files = globStream(pattern, {
+                    cwd: this.sourceDir,
+                    ignore: [...this.excludePatterns, ...scopeIgnores],
+                    absolute: true,
+                    nodir: true // Only files, not directories
+                });
+                for await (const file of files) {
+                    matched++;
+                    if (accept(file)) yield file;
                 }
+                this.log('debug', `Pattern '${pattern}' matched ${matched} files`);
+            } catch (error) {
+                this.log('warn', `Failed to process pattern '${pattern}': ${error.message}`);
             }
+        }
 
-            const uniqueFiles = [...new Set(allFiles)];
-            this.log('info', `Found ${uniqueFiles.length} files to process`);
-            return uniqueFiles;
+        for (const scope of this.scopes) {
+            if (!(await this.checkDirectoryAccess(scope.sourceDir))) continue;
+            for await (const file of scope.discoverFiles()) {
+                if (accept(file)) yield file;
+            }
+        }
+    }
+
+    /**
+     * Get all files matching the patterns with enhanced error handling
+     * @returns {Promise<string[]>} Array of file paths
+     */
+    async getFiles() {
+        try {
+            const files = [];
+            for await (const file of this.discoverFiles()) files.push(file);
+            this.log(this.parent ? 'debug' : 'info', `Found ${files.length} files to process`);
+            return files;
         } catch (error) {
             this.log('error', `Error getting files: ${error.message}`);
             throw error;
@@ -163,27 +343,97 @@ class TailwindPrefixBot {
     }
 
     /**
-     * Create backup of original file with enhanced management
+     * Bot holding the settings for a file: the closest override directory, or this bot
+     * @param {string} filePath - File path
+     * @returns {TailwindPrefixBot} Bot to process the file with
+     */
+    getScope(filePath) {
+        const absolutePath = path.resolve(filePath);
+        return this.scopes.find(scope => isWithin(absolutePath, scope.sourceDir)) || this;
+    }
+
+    /**
+     * Start a new run: allocate a run ID and an empty backup manifest
+     * @returns {string} The new run ID
+     */
+    startRun() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        this.runId = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+        this.manifest = {
+            runId: this.runId,
+            createdAt: new Date().toISOString(),
+            sourceDir: this.sourceDir,
+            mode: this.mode,
+            prefix: this.prefix,
+            fromPrefix: this.fromPrefix,
+            files: []
+        };
+        return this.runId;
+    }
+
+    /**
+     * Hash file content for change detection
+     * @param {string} content - File content
+     * @returns {string} sha256 hex digest
+     */
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Write a file, atomically unless the atomic option is off
+     * @param {string} filePath - File to write
+     * @param {string} content - Content to write
+     * @returns {Promise<void>}
+     */
+    async writeFile(filePath, content) {
+        if (this.atomic) await writeFileAtomic(filePath, content);
+        else await fs.writeFile(filePath, content, 'utf8');
+    }
+
+    /**
+     * Directory holding the backups and manifest of a run
+     * @param {string} runId - Run ID
+     * @returns {string} Absolute directory path
+     */
+    getRunDir(runId) {
+        return path.join(this.backupDir, runId);
+    }
+
+    /**
+     * Create backup of original file and record it in the run manifest
      * @param {string} filePath - Path to file to backup
+     * @param {string} [updatedContent] - Content about to be written, hashed so undo can detect later edits
      * @returns {Promise<string|null>} Backup path or null if no backup created
      */
-    async createBackup(filePath) {
+    async createBackup(filePath, updatedContent) {
+        if (this.parent) return this.parent.createBackup(filePath, updatedContent);
         if (!this.backup) return null;
 
         try {
-            // Ensure backup directory exists
-            await fs.mkdir(this.backupDir, { recursive: true });
+            if (!this.runId) this.startRun();
 
-            // Create unique backup filename with timestamp
-            const relativePath = path.relative(this.sourceDir, filePath);
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupFileName = `${relativePath.replace(/[/\\]/g, '_')}_${timestamp}.backup`;
-            const backupPath = path.join(this.backupDir, backupFileName);
+            // Mirror the source layout inside the run directory so paths never need to be guessed back
+            const absolutePath = path.resolve(filePath);
+            const relativePath = path.relative(this.sourceDir, absolutePath);
+            const backupRelativePath = relativePath
+                .split(path.sep)
+                .map(segment => (segment === '..' ? '_up_' : segment))
+                .join(path.sep) + '.backup';
+            const backupPath = path.join(this.getRunDir(this.runId), backupRelativePath);
 
             // Read and write backup
-            const content = await fs.readFile(filePath, 'utf8');
+            const content = await fs.readFile(absolutePath, 'utf8');
+            await fs.mkdir(path.dirname(backupPath), { recursive: true });
             await fs.writeFile(backupPath, content, 'utf8');
 
+            this.manifest.files.push({
+                path: relativePath.split(path.sep).join('/'),
+                backup: backupRelativePath.split(path.sep).join('/'),
+                originalHash: this.hashContent(content),
+                hash: updatedContent === undefined ? null : this.hashContent(updatedContent)
+            });
+
             this.log('debug', `Backup created: ${backupPath}`);
             return backupPath;
         } catch (error) {
@@ -193,33 +443,84 @@ class TailwindPrefixBot {
     }
 
     /**
-     * Restore files from backup directory
-     * @param {string} [backupTimestamp] - Specific backup timestamp to restore
-     * @returns {Promise<number>} Number of files restored
+     * Write the manifest of the current run next to its backups
+     * @returns {Promise<string|null>} Manifest path or null if nothing was backed up
+     */
+    async saveManifest() {
+        if (this.parent) return this.parent.saveManifest();
+        if (!this.manifest || this.manifest.files.length === 0) return null;
+
+        const manifestPath = path.join(this.getRunDir(this.runId), 'manifest.json');
+        await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+        await this.writeFile(manifestPath, JSON.stringify(this.manifest, null, 2) + '\n');
+
+        this.log('debug', `Manifest written: ${manifestPath}`);
+        return manifestPath;
+    }
+
+    /**
+     * List recorded runs, newest first
+     * @returns {Promise<Object[]>} Run manifests
+     */
+    async listRuns() {
+        if (!(await this.checkDirectoryAccess(this.backupDir))) return [];
+
+        const manifestFiles = glob.sync('*/manifest.json', {
+            cwd: this.backupDir,
+            absolute: true
+        });
+
+        const runs = [];
+        for (const manifestFile of manifestFiles) {
+            try {
+                runs.push(JSON.parse(await fs.readFile(manifestFile, 'utf8')));
+            } catch (error) {
+                this.log('warn', `Skipping unreadable manifest ${manifestFile}: ${error.message}`);
+            }
+        }
+
+        return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Restore the files of a run from its backup manifest
+     * @param {string} [runId] - Run to restore (defaults to the latest run not yet undone)
+     * @param {Object} [options] - Restore options
+     * @param {boolean} [options.force=false] - Overwrite files that changed after the run
+     * @returns {Promise<{runId: string, restored: number, conflicts: string[]}>} Restore result
      */
-    async restoreFromBackup(backupTimestamp = null) {
+    async restoreFromBackup(runId = null, { force = false } = {}) {
         try {
-            const backupFiles = glob.sync('**/*.backup', {
-                cwd: this.backupDir,
-                absolute: true
-            });
+            const runs = await this.listRuns();
+            const manifest = runId
+                ? runs.find(run => run.runId === runId)
+                : runs.find(run => !run.restoredAt);
 
+            if (!manifest) {
+                throw new Error(runId ? `No backup manifest found for run: ${runId}` : 'No runs to undo');
+            }
+
+            const runDir = this.getRunDir(manifest.runId);
+            const conflicts = [];
             let restoredCount = 0;
-            for (const backupFile of backupFiles) {
-                if (backupTimestamp && !backupFile.includes(backupTimestamp)) {
-                    continue;
-                }
 
-                // Parse original file path from backup filename
-                const backupName = path.basename(backupFile, '.backup');
-                const parts = backupName.split('_');
-                const timestamp = parts.pop();
-                const originalRelativePath = parts.join('_').replace(/_/g, path.sep);
-                const originalPath = path.join(this.sourceDir, originalRelativePath);
+            for (const entry of manifest.files) {
+                const originalPath = path.resolve(manifest.sourceDir, entry.path);
+                const backupFile = path.join(runDir, entry.backup);
 
                 try {
+                    // Refuse to clobber edits made after the run
+                    const current = await fs.readFile(originalPath, 'utf8').catch(() => null);
+                    const currentHash = current === null ? null : this.hashContent(current);
+                    if (!force && currentHash !== entry.hash && currentHash !== entry.originalHash) {
+                        conflicts.push(entry.path);
+                        this.log('warn', `Changed since run ${manifest.runId}, not restoring: ${originalPath}`);
+                        continue;
+                    }
+
                     const backupContent = await fs.readFile(backupFile, 'utf8');
-                    await fs.writeFile(originalPath, backupContent, 'utf8');
+                    await fs.mkdir(path.dirname(originalPath), { recursive: true });
+                    await this.writeFile(originalPath, backupContent);
                     this.log('info', `Restored: ${originalPath}`);
                     restoredCount++;
                 } catch (error) {
@@ -227,37 +528,91 @@ class TailwindPrefixBot {
                 }
             }
 
-            this.log('info', `Restored ${restoredCount} files from backup`);
-            return restoredCount;
+            if (conflicts.length === 0) {
+                manifest.restoredAt = new Date().toISOString();
+                await this.writeFile(path.join(runDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+            }
+
+            this.log('info', `Restored ${restoredCount} files from run ${manifest.runId}`);
+            return { runId: manifest.runId, restored: restoredCount, conflicts };
         } catch (error) {
             this.log('error', `Error during restore: ${error.message}`);
             throw error;
         }
     }
 
+    /**
+     * Tailwind class recognizer for the project, loaded on first use
+     * @returns {TailwindClassRecognizer} Recognizer
+     */
+    getRecognizer() {
+        if (!this.recognizer) {
+            this.recognizer = TailwindClassRecognizer.fromProject(this.sourceDir, {
+                configPath: this.tailwindConfig,
+                version: this.targetVersion,
+                log: (level, message) => this.log(level, message)
+            });
+        }
+        return this.recognizer;
+    }
+
+    /**
+     * Load the Tailwind recognizers of the bot and its override directories up front, so a
+     * config that can't be loaded stops a run or check before any file is changed
+     * @throws {Error} If a Tailwind config can't be loaded
+     */
+    loadRecognizers() {
+        for (const bot of [this, ...this.scopes]) {
+            if (bot.classDetection === 'tailwind') bot.getRecognizer();
+        }
+    }
+
+    /**
+     * Check whether a bare utility (no variants or important flag) is one Tailwind generates
+     * @param {string} utility - Utility such as `p-4` or `-mt-2`
+     * @returns {boolean} True for Tailwind utilities
+     */
+    isTailwindUtility(utility) {
+        if (this.classDetection === 'heuristic') return isCoreUtility(utility);
+        return this.getRecognizer().isUtility(utility);
+    }
+
+    /**
+     * Check a class against the ignoreClasses names, globs and regexes
+     * @param {string} className - Class name
+     * @returns {boolean} True if an ignore entry matches
+     */
+    isIgnoredClass(className) {
+        return this.ignoreMatchers.some(matches => matches(className));
+    }
+
     /**
      * Enhanced check if a class should be ignored (not a Tailwind class)
      * @param {string} className - Class name to check
      * @returns {boolean} True if class should be ignored
      */
     isNotTailwindClass(className) {
-        // Remove any prefixes and negation for checking
-        let classToCheck = className;
+        return this.getNonTailwindReason(className) !== null;
+    }
 
-        // Remove responsive/pseudo prefixes (everything before last :)
-        const lastColonIndex = classToCheck.lastIndexOf(':');
-        if (lastColonIndex !== -1) {
-            classToCheck = classToCheck.substring(lastColonIndex + 1);
-        }
+    /**
+     * Why a class is not treated as a Tailwind class
+     * @param {string} className - Class name to check
+     * @returns {string|null} 'ignored', 'not-tailwind', 'camelCase', 'snake_case', 'custom' or
+     *   'framework', or null for Tailwind classes
+     */
+    getNonTailwindReason(className) {
+        // Check the utility alone: variants and the important flag don't decide what it is
+        const classToCheck = getBareUtility(className);
 
-        // Remove ! for negative values
-        if (classToCheck.startsWith('!')) {
-            classToCheck = classToCheck.substring(1);
+        // Check ignore list against the whole class and the bare utility
+        if (this.isIgnoredClass(className) || this.isIgnoredClass(classToCheck)) {
+            return 'ignored';
         }
 
-        // Check ignore list (exact match)
-        if (this.ignoreClasses.includes(classToCheck)) {
-            return true;
+        // Ask the recognizer whether Tailwind generates CSS for this class
+        if (this.classDetection === 'tailwind') {
+            return this.isTailwindUtility(classToCheck) ? null : 'not-tailwind';
         }
 
         // Check for camelCase (has lowercase followed by uppercase)
@@ -275,17 +630,147 @@ class TailwindPrefixBot {
         // Check for framework-specific classes
         const isFrameworkClass = /^(ng-|v-|data-|aria-|role-)/.test(classToCheck);
 
-        return hasCamelCase || hasSnakeCase || isCustomClass || isFrameworkClass;
+        if (hasCamelCase) return 'camelCase';
+        if (hasSnakeCase) return 'snake_case';
+        if (isCustomClass) return 'custom';
+        if (isFrameworkClass) return 'framework';
+        return null;
+    }
+
+    /**
+     * Why transformClass left a class unchanged
+     * @param {string} className - Class name as written
+     * @returns {string} 'already-prefixed', 'not-prefixed' (removing or renaming a prefix the class
+     *   doesn't have), or a reason from getNonTailwindReason
+     */
+    getSkipReason(className) {
+        if (this.mode !== 'remove' && this.hasPrefix(className, this.prefix)) return 'already-prefixed';
+        if (this.mode === 'add') return this.getNonTailwindReason(className) || 'not-tailwind';
+        if (!this.hasPrefix(className, this.fromPrefix)) return 'not-prefixed';
+        // The class has fromPrefix, but what remains without it isn't a Tailwind class
+        return 'not-tailwind';
+    }
+
+    /**
+     * Apply the prefix for the target version: a trailing dash is dropped for v4, where the
+     * prefix is a variant (`tw:`)
+     * @param {string|null} prefix - Prefix as given
+     * @returns {string|null} Normalized prefix
+     */
+    normalizePrefix(prefix) {
+        return prefix && this.targetVersion === 4 ? prefix.replace(/-$/, '') : prefix;
+    }
+
+    /**
+     * Check whether a class already carries a prefix. For v3 the prefix starts the utility
+     * after the variants, `!` and `-` (`hover:!tw-mt-4`, `-tw-mt-4`, and the `tw--mt-4` older
+     * versions of this tool wrote), and what follows it must be a Tailwind utility, so `p-4` doesn't
+     * count as prefixed with `p`; for v4 it is the first variant (`tw:hover:mt-4`).
+     * Containing the prefix text elsewhere doesn't count.
+     * @param {string} className - Class name to check
+     * @param {string} prefix - Prefix to look for
+     * @returns {boolean} True when the class has the prefix
+     */
+    hasPrefix(className, prefix) {
+        const { variants, utility } = parseClass(className);
+        if (this.targetVersion === 4) return variants[0] === prefix;
+        return utility.startsWith(prefix) && this.isTailwindUtility(utility.slice(prefix.length));
+    }
+
+    /**
+     * Rewrite one class for the current mode: add the prefix, remove fromPrefix, or replace
+     * fromPrefix with the prefix. Classes without fromPrefix are left alone when removing or renaming.
+     * @param {string} className - Class name to process
+     * @returns {string} Processed class name
+     */
+    transformClass(className) {
+        switch (this.mode) {
+            case 'remove':
+                return this.removePrefixFromClass(className);
+            case 'rename': {
+                const unprefixed = this.removePrefixFromClass(className);
+                return unprefixed === className ? className : this.addPrefixToClass(unprefixed);
+            }
+            default:
+                return this.addPrefixToClass(className);
+        }
+    }
+
+    /**
+     * Strip fromPrefix from a class, keeping its variants and `!`:
+     * hover:!tw-mt-4 -> hover:!mt-4, -tw-mt-4 and tw--mt-4 -> -mt-4, tw:hover:mt-4 -> hover:mt-4.
+     * Only classes that are Tailwind utilities once unprefixed are changed.
+     * @param {string} className - Class name to process
+     * @returns {string} Processed class name
+     */
+    removePrefixFromClass(className) {
+        if (!this.hasPrefix(className, this.fromPrefix)) {
+            return className;
+        }
+
+        const parts = parseClass(className);
+        if (this.targetVersion === 4) {
+            parts.variants = parts.variants.slice(1);
+        } else {
+            parts.utility = parts.utility.substring(this.fromPrefix.length);
+            // tw--mt-4 puts the negative sign after the prefix
+            if (parts.utility.startsWith('-') && !parts.negative) {
+                parts.negative = true;
+                parts.utility = parts.utility.substring(1);
+            }
+        }
+        const result = formatClass(parts);
+
+        return this.isNotTailwindClass(result) ? className : result;
+    }
+
+    /**
+     * Rewrite a class name found in a stylesheet selector. When adding a prefix only real
+     * utilities are touched, since heuristic detection would also match the project's own classes.
+     * @param {string} className - Class name without the leading dot
+     * @param {number|null} [offset=null] - Position of the class name in the file
+     * @param {string} [rule='css-selector'] - Rule name recorded with the change
+     * @returns {string} Processed class name, unescaped
+     */
+    transformSelectorClass(className, offset = null, rule = 'css-selector') {
+        // Variants and flags are part of the escaped name: .md\:hover\:bg-red-500, .\!p-4
+        if (this.mode === 'add' && !this.hasPrefix(className, this.prefix)
+            && !this.isTailwindUtility(getBareUtility(className))) {
+            this.recordSkip(className, offset, this.isIgnoredClass(className) ? 'ignored' : 'not-tailwind', rule);
+            return className;
+        }
+        return this.prefixClassList(className, { offset, rule });
+    }
+
+    /**
+     * Describe what this run does to classes, for log output
+     * @returns {string} Description
+     */
+    describeChange() {
+        switch (this.mode) {
+            case 'remove':
+                return `removing prefix "${this.fromPrefix}"`;
+            case 'rename':
+                return `changing prefix "${this.fromPrefix}" to "${this.prefix}"`;
+            default:
+                return `adding prefix "${this.prefix}"`;
+        }
     }
 
     /**
-     * Enhanced prefix addition with better Tailwind pattern support
+     * Tailwind v3 prefix: the prefix starts the utility, after the variants, the important
+     * flag and the negative sign: md:hover:!-mt-4 -> md:hover:!-tw-mt-4,
+     * [&>*]:p-4 -> [&>*]:tw-p-4, [mask-type:luminance] -> tw-[mask-type:luminance]
      * @param {string} className - Class name to process
      * @returns {string} Processed class name
      */
     addPrefixToClass(className) {
+        if (this.targetVersion === 4) {
+            return this.addVariantPrefixToClass(className);
+        }
+
         // Skip if already prefixed
-        if (className.includes(this.prefix)) {
+        if (this.hasPrefix(className, this.prefix)) {
             return className;
         }
 
@@ -294,49 +779,112 @@ class TailwindPrefixBot {
             return className;
         }
 
-        // Handle group modifiers: group-hover:opacity-50 -> group-hover:tw-opacity-50
-        if (className.includes('group-')) {
-            const groupMatch = className.match(/^(.*group-[^:]*:)(.+)$/);
-            if (groupMatch) {
-                const [, groupPrefix, actualClass] = groupMatch;
-                return groupPrefix + this.addPrefixToClass(actualClass);
-            }
-        }
+        const parts = parseClass(className);
+        return formatClass({ ...parts, utility: this.prefix + parts.utility });
+    }
 
-        // Handle peer modifiers: peer-focus:opacity-50 -> peer-focus:tw-opacity-50
-        if (className.includes('peer-')) {
-            const peerMatch = className.match(/^(.*peer-[^:]*:)(.+)$/);
-            if (peerMatch) {
-                const [, peerPrefix, actualClass] = peerMatch;
-                return peerPrefix + this.addPrefixToClass(actualClass);
-            }
+    /**
+     * Tailwind v4 prefix: the prefix is a variant that comes before all others, and the
+     * important flag moves to the end: hover:!bg-red-500 -> tw:hover:bg-red-500!
+     * @param {string} className - Class name to process
+     * @returns {string} Processed class name
+     */
+    addVariantPrefixToClass(className) {
+        if (this.hasPrefix(className, this.prefix) || this.isNotTailwindClass(className)) {
+            return className;
         }
 
-        // Find the last ':' in the class name
-        const lastColonIndex = className.lastIndexOf(':');
+        const parts = parseClass(className);
+        return formatClass({
+            ...parts,
+            variants: [this.prefix, ...parts.variants],
+            trailingImportant: parts.important
+        });
+    }
 
-        if (lastColonIndex === -1) {
-            // No colons - simple class
-            if (className.startsWith('!')) {
-                // Handle negative: !-margin-4 -> !tw--margin-4
-                return '!' + this.prefix + className.substring(1);
-            } else {
-                // Regular class: bg-red-500 -> tw-bg-red-500
-                return this.prefix + className;
+    /**
+     * Rewrite every class in a whitespace-separated list for the current mode, keeping the original spacing
+     * @param {string} classString - Class list to process
+     * @param {Object} [options] - List options
+     * @param {boolean} [options.skipFirst=false] - Leave the first token alone (glued to preceding code)
+     * @param {boolean} [options.skipLast=false] - Leave the last token alone (glued to following code)
+     * @param {number|null} [options.offset=null] - Position of `classString` in the file, recorded with each change
+     * @param {string} [options.rule='class-list'] - Where the list was found (`html-class`, `css-apply`, ...),
+     *   recorded with each change
+     * @returns {string} Processed class list
+     */
+    prefixClassList(classString, { skipFirst = false, skipLast = false, offset = null, rule = 'class-list' } = {}) {
+        const parts = classString.split(/(\s+)/);
+        const lastIndex = parts.length - 1;
+        let changeCount = 0;
+        let position = 0;
+
+        // Even indexes are classes, odd indexes the whitespace between them
+        const result = parts.map((part, index) => {
+            const partStart = offset === null ? null : offset + position;
+            position += part.length;
+            if (index % 2 === 1 || part === '') return part;
+            if ((skipFirst && index === 0) || (skipLast && index === lastIndex)) {
+                this.recordSkip(part, partStart, 'dynamic', rule);
+                return part;
+            }
+            if (this.isIgnoredByDirective(part, partStart)) {
+                this.recordSkip(part, partStart, 'directive', rule);
+                return part;
             }
-        } else {
-            // Has colons - get the part after the last colon
-            const beforeLastColon = className.substring(0, lastColonIndex + 1);
-            const afterLastColon = className.substring(lastColonIndex + 1);
 
-            if (afterLastColon.startsWith('!')) {
-                // Handle negative with prefixes: hover:!-translate-x-2 -> hover:!tw--translate-x-2
-                return beforeLastColon + '!' + this.prefix + afterLastColon.substring(1);
+            const processed = this.transformClass(part);
+            if (processed === part) {
+                this.recordSkip(part, partStart, null, rule);
             } else {
-                // Regular class with prefixes: hover:bg-red-500 -> hover:tw-bg-red-500
-                return beforeLastColon + this.prefix + afterLastColon;
+                changeCount++;
+                if (this.changeLog) {
+                    this.changeLog.changes.push({
+                        start: partStart,
+                        end: partStart === null ? null : partStart + part.length,
+                        original: part,
+                        updated: processed,
+                        rule
+                    });
+                }
             }
-        }
+            return processed;
+        }).join('');
+
+        this.stats.classesChanged += changeCount;
+        return result;
+    }
+
+    /**
+     * Record a class left unchanged, when transformContent was asked for skipped classes
+     * @param {string} className - Class as written
+     * @param {number|null} start - Position of the class in the file, or null when unknown
+     * @param {string|null} reason - Why it was skipped (worked out from the class when null)
+     * @param {string} rule - Where the class was found
+     */
+    recordSkip(className, start, reason, rule) {
+        if (!this.changeLog || !this.changeLog.skipped) return;
+        this.changeLog.skipped.push({
+            start,
+            end: start === null ? null : start + className.length,
+            className,
+            reason: reason || this.getSkipReason(className),
+            rule
+        });
+    }
+
+    /**
+     * Check a class against the tw-prefix-ignore directives of the content being processed
+     * @param {string} className - Class as written, with variants
+     * @param {number|null} offset - Position of the class in the file, or null when unknown
+     * @returns {boolean} True if a directive covers the class
+     */
+    isIgnoredByDirective(className, offset) {
+        if (!this.directives) return false;
+        const utility = getBareUtility(className);
+        return this.directives.classes.has(className)
+            || this.directives.classes.has(utility)
+            || isIgnoredOffset(this.directives, offset);
     }
 
     /**
@@ -381,6 +929,22 @@ class TailwindPrefixBot {
                     }
                 }
 
+                // Drop run manifests and the now-empty run directories, deepest first
+                const manifestFiles = glob.sync('*/manifest.json', {
+                    cwd: this.backupDir,
+                    absolute: true
+                });
+                for (const file of manifestFiles) {
+                    await fs.unlink(file).catch(err => this.log('error', `Failed to delete ${file}: ${err.message}`));
+                }
+
+                const runDirs = glob.sync('**/', { cwd: this.backupDir, absolute: true })
+                    .sort((a, b) => b.length - a.length);
+                for (const dir of runDirs) {
+                    if (path.resolve(dir) === path.resolve(this.backupDir)) continue;
+                    await fs.rmdir(dir).catch(() => {});
+                }
+
                 // Remove backup directory if requested and empty
                 if (removeBackupDir) {
                     try {
@@ -401,77 +965,26 @@ class TailwindPrefixBot {
     }
 
     /**
-     * Enhanced HTML class processing with better pattern matching
+     * Process the class attributes of HTML markup, and the attributes listed in `classAttributes`
      * @param {string} content - File content to process
+     * @param {Object} [options] - Processing options
+     * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+     * @param {string} [options.rule='html-class'] - Rule name recorded with each change
      * @returns {string} Processed content
      */
-    processHtmlClasses(content) {
-        let changeCount = 0;
-
-        const result = content.replace(
-            this.patterns.htmlClass,
-            (match, classString) => {
-                // Split classes and process each one
-                const classes = classString.split(/\s+/).filter(c => c.length > 0);
-                const processedClasses = classes.map(className => {
-                    const processed = this.addPrefixToClass(className);
-                    if (processed !== className) changeCount++;
-                    return processed;
-                });
-
-                const newClassString = processedClasses.join(' ');
-                return match.replace(classString, newClassString);
-            }
-        );
-
-        this.stats.classesChanged += changeCount;
-        return result;
-    }
-
-    // Process CSS class selectors
-    processCssClasses(content) {
-        return content;
+    processHtmlClasses(content, { offset = 0, rule = 'html-class' } = {}) {
+        return processHtml(content, this, {
+            offset,
+            rule,
+            classAttributes: this.classAttributes,
+            classHelpers: this.classHelpers
+        });
     }
 
-    // Add prefix to CSS class selectors (outside @apply)
+    // Add prefix to CSS class selectors; escaped names, @layer definitions and custom
+    // classes are handled by the stylesheet processor, which also covers @apply
     processCssSelectors(content) {
-        // Match classes in selectors: .class-name
-        return content.replace(
-            /(?<=^|[\s,{])\.([a-zA-Z0-9_-]+)/gm,
-            (match, className) => {
-                // Corrected property name
-                if (this.ignoreClasses.includes(className)) return match;
-
-                // Already prefixed
-                if (className.startsWith(this.prefix)) return match;
-
-                return `.${this.prefix}${className}`;
-            }
-        );
-    }
-
-
-    // Process @apply directives in CSS
-    processApplyDirectives(content) {
-        return content.replace(
-            /@apply\s+([^;{}]+);?/gs, // Match @apply ... until ; or closing brace
-            (match, classString) => {
-                // Split by whitespace including newlines
-                const classes = classString
-                    .split(/\s+/)
-                    .filter(c => c.length > 0)
-                    // Only add prefix to valid Tailwind-like classes
-                    .map(className => {
-                        // Ignore invalid class names (like those ending with } or containing {)
-                        if (/[\{\}]/.test(className)) return className;
-                        return this.addPrefixToClass(className);
-                    });
-
-                return `@apply ${classes.join(' ')};`;
-            }
-        )
-            // Remove accidental double semicolons
-            .replace(/;;+/g, ';');
+        return this.processStylesheet(content, '.css');
     }
 
     // Process JavaScript/JSX className attributes
@@ -487,132 +1000,851 @@ class TailwindPrefixBot {
                     return match;
                 }
 
-                const classes = classString.split(/\s+/).filter(c => c.length > 0);
-                const processedClasses = classes.map(className => this.addPrefixToClass(className));
-
-                return match.replace(classString, processedClasses.join(' '));
+                return match.replace(classString, this.prefixClassList(classString, { offset: null, rule: 'jsx-class-regex' }));
             }
         );
     }
 
+    /**
+     * Process JavaScript/TypeScript through the AST transformer, falling back to the
+     * regex-based className processing when the file can't be parsed
+     * @param {string} content - File content to process
+     * @param {string} fileExt - File extension including the dot
+     * @returns {string} Processed content
+     */
+    processJsAst(content, fileExt) {
+        try {
+            return transformJs(content, this, { fileExt, classHelpers: this.classHelpers, classSinks: this.classSinks });
+        } catch (error) {
+            this.warn(`Could not parse as ${fileExt}, using className regex instead: ${error.message}`);
+            // The className regex runs last, so only its change locations are unknown
+            return this.processJsClasses(this.processHtmlClasses(content, { rule: 'html-class-regex' }));
+        }
+    }
+
+    /**
+     * Process an Angular component template, or an inline `template` of a component
+     * @param {string} content - Template source
+     * @param {Object} [options] - Processing options
+     * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+     * @returns {string} Processed content
+     */
+    processAngularTemplate(content, { offset = 0 } = {}) {
+        return processAngularTemplate(content, this, { classAttributes: this.classAttributes, offset });
+    }
+
+    /**
+     * Process a server-side template without touching its template syntax
+     * @param {string} content - Template source
+     * @param {string} language - Template language, a value of TEMPLATE_EXTENSIONS
+     * @param {Object} [options] - Processing options
+     * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+     * @returns {string} Processed content
+     */
+    processServerTemplate(content, language, { offset = 0 } = {}) {
+        return processServerTemplate(content, this, { language, classAttributes: this.classAttributes, offset });
+    }
+
+    /**
+     * Process a CSS, SCSS, indented Sass or Less stylesheet: utility selectors and @apply rules
+     * @param {string} content - Stylesheet source
+     * @param {string} fileExt - Stylesheet extension including the dot
+     * @param {Object} [options] - Processing options
+     * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+     * @returns {string} Processed content
+     */
+    processStylesheet(content, fileExt, { offset = 0 } = {}) {
+        return processStylesheet(content, this, { fileExt, offset });
+    }
+
+    /**
+     * Log a warning about the content being processed, keeping it for transformContent's result
+     * @param {string} message - Warning message
+     */
+    warn(message) {
+        if (this.changeLog) this.changeLog.warnings.push(message);
+        this.log('warn', message);
+    }
+
+    /**
+     * Process content of a given type and report what changed
+     * @param {string} content - Source to process
+     * @param {string} fileExt - Extension deciding how the content is parsed, including the dot
+     * @param {Object} [options] - Transform options
+     * @param {boolean} [options.skipped=false] - Also list the classes left unchanged
+     * @returns {{code: string, changes: Object[], warnings: string[], skipped?: Object[]}} Processed
+     *   source, one `{ start, end, line, column, original, updated, rule }` entry per changed class
+     *   (positions refer to the input and are null when unknown; line and column start at 1; rule
+     *   names where the class was found), warnings raised on the way, and when asked one
+     *   `{ start, end, line, column, className, reason, rule }` entry per unchanged class
+     */
+    transformContent(content, fileExt, { skipped = false } = {}) {
+        const previousLog = this.changeLog;
+        this.changeLog = { changes: [], warnings: [], skipped: skipped ? [] : null };
+
+        try {
+            const code = this.processContent(content, `file${fileExt}`);
+            const lineStarts = [0];
+            for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+
+            const locate = entries => entries
+                .map(entry => {
+                    if (entry.start === null) return { ...entry, line: null, column: null };
+                    let line = lineStarts.length - 1;
+                    while (lineStarts[line] > entry.start) line--;
+                    return { ...entry, line: line + 1, column: entry.start - lineStarts[line] + 1 };
+                })
+                .sort((a, b) => (a.start === null ? Infinity : a.start) - (b.start === null ? Infinity : b.start));
+
+            const result = { code, changes: locate(this.changeLog.changes), warnings: this.changeLog.warnings };
+            if (skipped) result.skipped = locate(this.changeLog.skipped);
+            return result;
+        } finally {
+            this.changeLog = previousLog;
+        }
+    }
+
     // Main content processing method
     processContent(content, filePath) {
+        const fileType = this.getFileType(filePath);
+        const directives = parseIgnoreDirectives(content, fileType);
+        if (directives.ignoreFile) return content;
+
+        const previousDirectives = this.directives;
+        this.directives = directives;
+        try {
+            return this.processContentOfType(content, fileType);
+        } finally {
+            this.directives = previousDirectives;
+        }
+    }
+
+    /**
+     * File type deciding how a file is processed: its lowercase extension, or
+     * `.component.html` and `.blade.php` for Angular and Blade templates
+     * @param {string} filePath - File path
+     * @returns {string} File type including the dot
+     */
+    getFileType(filePath) {
+        return getFileType(filePath);
+    }
+
+    /**
+     * Dispatch content to the processor for its file type
+     * @param {string} content - Source to process
+     * @param {string} fileExt - Lowercase extension including the dot
+     * @returns {string} Processed source
+     */
+    processContentOfType(content, fileExt) {
         let processedContent = content;
-        const fileExt = path.extname(filePath).toLowerCase();
 
         // Process based on file type
-        if (['.html', '.php', '.vue'].includes(fileExt)) {
-            // HTML-like files
+        if (fileExt === ANGULAR_TEMPLATE_EXT) {
+            // Angular component templates, with their class bindings
+            processedContent = this.processAngularTemplate(processedContent);
+        } else if (TEMPLATE_EXTENSIONS[fileExt]) {
+            // Server-side templates: PHP, Blade, Twig, Jinja/Nunjucks, Liquid, ERB, Handlebars
+            processedContent = this.processServerTemplate(processedContent, TEMPLATE_EXTENSIONS[fileExt]);
+        } else if (fileExt === '.html') {
+            // HTML files
             processedContent = this.processHtmlClasses(processedContent);
-        } else if (fileExt === '.css') {
-            // CSS files
-            processedContent = this.processCssSelectors(processedContent);
-            processedContent = this.processApplyDirectives(processedContent);
-            //   processedContent = this.processCssClasses(processedContent);
-            //   processedContent = this.processApplyDirectives(processedContent);
+        } else if (['.vue', '.svelte', '.astro'].includes(fileExt)) {
+            // Single-file components: markup, <script> and <style> blocks, Astro frontmatter
+            processedContent = processSfc(processedContent, this, {
+                framework: fileExt.slice(1),
+                classHelpers: this.classHelpers,
+                classSinks: this.classSinks,
+                classAttributes: this.classAttributes
+            });
+        } else if (['.md', '.markdown', '.mdx'].includes(fileExt)) {
+            // Markdown with embedded HTML, MDX with embedded JSX; code is left alone
+            processedContent = processMarkdown(processedContent, this, {
+                jsx: fileExt === '.mdx',
+                classHelpers: this.classHelpers,
+                classSinks: this.classSinks
+            });
+        } else if (['.css', '.scss', '.sass', '.less'].includes(fileExt)) {
+            // Stylesheets, including preprocessor syntaxes
+            processedContent = this.processStylesheet(processedContent, fileExt);
         } else if (['.js', '.jsx', '.ts', '.tsx'].includes(fileExt)) {
-            // JavaScript/TypeScript files
-            processedContent = this.processJsClasses(processedContent);
-            // Also check for template literals with HTML
-            processedContent = this.processHtmlClasses(processedContent);
+            // JavaScript/TypeScript files, including HTML markup inside strings
+            processedContent = this.processJsAst(processedContent, fileExt);
         }
 
         return processedContent;
     }
 
+    /**
+     * Directory patch paths are relative to: the repository root, as `git apply` expects, or
+     * the top-level source directory outside a repository
+     * @returns {string} Absolute directory
+     */
+    getPatchRoot() {
+        if (this.parent) return this.parent.getPatchRoot();
+        if (this.patchRoot === null) this.patchRoot = getRepoRoot(this.sourceDir) || this.sourceDir;
+        return this.patchRoot;
+    }
+
+    /**
+     * Build a git-style unified diff for a single file
+     * @param {string} filePath - Absolute path of the changed file
+     * @param {string} original - Original file content
+     * @param {string} updated - Processed file content
+     * @returns {string} Patch text accepted by `git apply`
+     */
+    createPatch(filePath, original, updated) {
+        const relativePath = path.relative(this.getPatchRoot(), filePath).split(path.sep).join('/');
+        const { hunks } = Diff.structuredPatch(relativePath, relativePath, original, updated, '', '', { context: 3 });
+
+        const lines = [
+            `diff --git a/${relativePath} b/${relativePath}`,
+            `--- a/${relativePath}`,
+            `+++ b/${relativePath}`
+        ];
+        for (const hunk of hunks) {
+            lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+            lines.push(...hunk.lines);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Print collected dry-run patches or save them to `this.patchFile`
+     * @returns {Promise<void>}
+     */
+    async writePatches() {
+        const patch = this.patches.join('');
+
+        if (this.patchFile) {
+            await fs.writeFile(this.patchFile, patch, 'utf8');
+            console.log(`\nPatch with ${this.patches.length} file(s) saved to: ${this.patchFile}`);
+            console.log(`Review it, then apply with: git apply ${this.patchFile}`);
+        } else if (patch) {
+            console.log('');
+            process.stdout.write(patch);
+        }
+    }
+
     // Process a single file
-    async processFile(filePath) {
+    async processFile(filePath, pool = null) {
+        const { timings } = this.stats;
+        const entry = this.report ? { file: path.relative(process.cwd(), filePath), status: 'unchanged' } : null;
+        if (entry) this.report.files.push(entry);
         try {
             console.log(`Processing: ${filePath}`);
 
-            // Create backup
-            await this.createBackup(filePath);
-
             // Read file content
+            let started = Date.now();
             const content = await fs.readFile(filePath, 'utf8');
+            timings.read += Date.now() - started;
+
+            // Skip files the cache knows need no changes
+            started = Date.now();
+            const hash = this.cache ? this.hashContent(content) : null;
+            const isCached = this.cache !== null && this.cache.isClean(filePath, hash);
+            timings.cache += Date.now() - started;
+            this.stats.filesProcessed++;
+            if (isCached) {
+                if (entry) entry.status = 'cached';
+                console.log(`- No changes (cached): ${filePath}`);
+                return false;
+            }
 
-            // Process content
-            const processedContent = this.processContent(content, filePath);
-
-            // Write back if changes were made
-            if (content !== processedContent) {
-                await fs.writeFile(filePath, processedContent);
-                console.log(`✓ Updated: ${filePath}`);
-                return true;
+            // Process content with the settings of its directory, in a worker when there is a pool
+            started = Date.now();
+            let processedContent;
+            if (pool) {
+                const result = await pool.run(filePath, content);
+                processedContent = result.code;
+                this.stats.classesChanged += result.classesChanged;
+                timings.transform += result.duration;
+                if (entry) Object.assign(entry, result.report);
+            } else if (entry) {
+                // Reports also list the classes left alone, and why
+                const fileExt = this.getFileType(filePath);
+                const { code, changes, skipped, warnings } = this.getScope(filePath).transformContent(content, fileExt, { skipped: true });
+                processedContent = code;
+                Object.assign(entry, { changes, skipped, warnings });
+                timings.transform += Date.now() - started;
             } else {
+                processedContent = this.getScope(filePath).processContent(content, filePath);
+                timings.transform += Date.now() - started;
+            }
+
+            if (content === processedContent) {
+                if (this.cache) this.cache.markClean(filePath, hash);
                 console.log(`- No changes: ${filePath}`);
                 return false;
             }
+
+            // Dry run: collect a diff, never touch the file or its backup
+            this.stats.filesChanged++;
+            if (this.dryRun) {
+                this.patches.push(this.createPatch(filePath, content, processedContent));
+                if (entry) entry.status = 'would-update';
+                console.log(`~ Would update: ${filePath}`);
+                return true;
+            }
+
+            // Transactional runs only stage the output; commitTransaction writes it once all files are done
+            started = Date.now();
+            if (this.transactional) {
+                this.staged.push({ filePath, content: processedContent, entry, ...await stageFile(filePath, processedContent) });
+                timings.write += Date.now() - started;
+                console.log(`~ Staged: ${filePath}`);
+                return true;
+            }
+
+            // Write back the changes
+            await this.createBackup(filePath, processedContent);
+            await this.writeFile(filePath, processedContent);
+            timings.write += Date.now() - started;
+            this.updatedFiles.push(path.resolve(filePath));
+            if (entry) entry.status = 'updated';
+            console.log(`✓ Updated: ${filePath}`);
+            return true;
         } catch (error) {
+            this.stats.errors++;
+            if (entry) Object.assign(entry, { status: 'error', error: error.message });
             console.error(`Error processing ${filePath}:`, error.message);
             return false;
         }
     }
 
-    // Main execution method
+    /**
+     * Finish a transactional run. When every file was processed without errors, the staged files
+     * are backed up and moved over their targets; otherwise they are all discarded. If writing
+     * fails part way, the files written so far are restored from their backups.
+     * @returns {Promise<boolean>} True when the files were written
+     */
+    async commitTransaction() {
+        const staged = this.staged;
+        this.staged = [];
+        const markEntries = (items, status) => items.forEach(item => { if (item.entry) item.entry.status = status; });
+
+        if (this.stats.errors > 0) {
+            await Promise.all(staged.map(discardFile));
+            markEntries(staged, 'rolled-back');
+            console.error(`\n✖ Transaction aborted: ${this.stats.errors} file(s) failed, no files were written`);
+            return false;
+        }
+
+        const started = Date.now();
+        const committed = [];
+        try {
+            for (const item of staged) {
+                item.backupPath = await this.createBackup(item.filePath, item.content);
+                await commitFile(item);
+                committed.push(item);
+            }
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`\n✖ Transaction failed while writing files: ${error.message}`);
+            await Promise.all(staged.filter(item => !committed.includes(item)).map(discardFile));
+            await this.rollbackTransaction(committed);
+            markEntries(staged, 'rolled-back');
+            return false;
+        } finally {
+            this.stats.timings.write += Date.now() - started;
+        }
+
+        for (const item of committed) {
+            this.updatedFiles.push(path.resolve(item.filePath));
+            console.log(`✓ Updated: ${item.filePath}`);
+        }
+        markEntries(committed, 'updated');
+        return true;
+    }
+
+    /**
+     * Restore the files a failed transaction already wrote, from the backups of the run
+     * @param {Object[]} committed - Staged files moved over their targets, with their backup paths
+     * @returns {Promise<void>}
+     */
+    async rollbackTransaction(committed) {
+        const failed = [];
+        for (const item of [...committed].reverse()) {
+            try {
+                await this.writeFile(item.targetPath, await fs.readFile(item.backupPath, 'utf8'));
+            } catch (error) {
+                failed.push(item.filePath);
+                this.log('error', `Failed to roll back ${item.filePath}: ${error.message}`);
+            }
+        }
+
+        if (failed.length > 0) {
+            console.error(`Rolled back ${committed.length - failed.length} of ${committed.length} written file(s); restore the rest with: tailwind-prefixify undo ${this.runId}`);
+            return;
+        }
+        // The run left nothing behind to undo
+        if (this.manifest) this.manifest.restoredAt = new Date().toISOString();
+        console.error(`Rolled back ${committed.length} written file(s)`);
+    }
+
+    /**
+     * Write the report of the last run to `this.reportFile`, as JSON or HTML by its extension
+     * @returns {Promise<void>}
+     */
+    async writeReport() {
+        const report = createRunReport(this.report.files, {
+            description: this.describeChange(),
+            overrides: this.scopes.map(scope => ({
+                directory: path.relative(process.cwd(), scope.sourceDir) || '.',
+                description: scope.describeChange()
+            })),
+            runId: this.runId,
+            dryRun: this.dryRun
+        });
+        await fs.writeFile(this.reportFile, formatRunReport(report, getReportFormat(this.reportFile)), 'utf8');
+        console.log(`Report saved to: ${path.relative(process.cwd(), this.reportFile)}`);
+    }
+
+    /**
+     * Find every class a run would change, without writing files, backups or patches
+     * @returns {Promise<Object>} `{ filesChecked, findings, warnings, errors }`; findings are
+     *   `{ file, line, column, endColumn, original, updated }` with the file relative to the working
+     *   directory (line and column are null where the location is unknown), warnings and errors
+     *   are `{ file, message }`
+     * @throws {Error} If a Tailwind config can't be loaded
+     */
+    async check() {
+        const result = { filesChecked: 0, findings: [], warnings: [], errors: [] };
+        const { timings } = this.stats;
+        const checkStarted = Date.now();
+        this.loadRecognizers();
+        this.cache = await this.loadCache();
+
+        try {
+            let started = Date.now();
+            const files = await this.getFiles();
+            timings.discovery += Date.now() - started;
+
+            for (const filePath of files) {
+                const file = path.relative(process.cwd(), filePath);
+                try {
+                    started = Date.now();
+                    const content = await fs.readFile(filePath, 'utf8');
+                    timings.read += Date.now() - started;
+                    result.filesChecked++;
+
+                    started = Date.now();
+                    const hash = this.cache ? this.hashContent(content) : null;
+                    const isCached = this.cache !== null && this.cache.isClean(filePath, hash);
+                    timings.cache += Date.now() - started;
+                    if (isCached) continue;
+
+                    started = Date.now();
+                    const { changes, warnings } = this.getScope(filePath).transformContent(content, this.getFileType(filePath));
+                    timings.transform += Date.now() - started;
+                    if (this.cache && changes.length === 0 && warnings.length === 0) this.cache.markClean(filePath, hash);
+
+                    for (const change of changes) {
+                        result.findings.push({
+                            file,
+                            line: change.line,
+                            column: change.column,
+                            endColumn: change.column === null ? null : change.column + change.original.length,
+                            original: change.original,
+                            updated: change.updated
+                        });
+                    }
+                    result.warnings.push(...warnings.map(message => ({ file, message })));
+                } catch (error) {
+                    this.log('error', `Error checking ${filePath}: ${error.message}`);
+                    result.errors.push({ file, message: error.message });
+                }
+            }
+        } finally {
+            if (this.cache) await this.cache.save();
+            timings.total = Date.now() - checkStarted;
+        }
+
+        return result;
+    }
+
+    /**
+     * Load the content cache when caching is enabled
+     * @returns {Promise<ContentCache|null>} Cache, or null when disabled
+     */
+    async loadCache() {
+        if (!this.useCache) return null;
+        return new ContentCache(this.cacheFile, await this.getCacheFingerprint()).load();
+    }
+
+    /**
+     * Hash of everything besides file content that decides how files are transformed: the tool
+     * version, mode and prefixes, detection settings and the Tailwind config (or v4 CSS entries)
+     * of each directory with its own settings
+     * @returns {Promise<string>} sha256 hex digest
+     */
+    async getCacheFingerprint() {
+        const describe = async (bot) => {
+            const tailwindFiles = bot.targetVersion === 4
+                ? findCssEntries(bot.sourceDir)
+                : [bot.tailwindConfig ? path.resolve(bot.tailwindConfig) : TailwindClassRecognizer.findConfig(bot.sourceDir)].filter(Boolean);
+            const tailwind = [];
+            for (const file of tailwindFiles) {
+                const content = await fs.readFile(file, 'utf8').catch(() => '');
+                tailwind.push([file, this.hashContent(content)]);
+            }
+            return {
+                sourceDir: bot.sourceDir,
+                mode: bot.mode,
+                prefix: bot.prefix,
+                fromPrefix: bot.fromPrefix,
+                targetVersion: bot.targetVersion,
+                classDetection: bot.classDetection,
+                classHelpers: bot.classHelpers,
+                classAttributes: bot.classAttributes,
+                classSinks: bot.classSinks,
+                ignoreClasses: bot.ignoreClasses.map(String),
+                tailwind
+            };
+        };
+
+        const bots = [];
+        for (const bot of [this, ...this.scopes]) bots.push(await describe(bot));
+        return this.hashContent(JSON.stringify({ version: TOOL_VERSION, bots }));
+    }
+
+    /**
+     * Options for the bots of worker threads: this bot's options without what only the main
+     * thread uses
+     * @returns {Object} Structured-cloneable options
+     */
+    getWorkerOptions() {
+        const options = { ...this.options, concurrency: 1, cache: false, logLevel: this.logLevel };
+        delete options.parent;
+        delete options.onlyFiles;
+        return options;
+    }
+
+    /**
+     * Print where the time of the last run or check went
+     * @param {Function} [write=console.log] - Output function (console.error keeps stdout clean)
+     */
+    printStats(write = console.log) {
+        const { timings } = this.stats;
+        const row = (label, ms, note = '') => write(`${label.padEnd(18)}${String(ms).padStart(8)} ms${note ? `  ${note}` : ''}`);
+
+        write('\n--- Stats ---');
+        row('Discovery', timings.discovery);
+        row('Read', timings.read);
+        if (this.useCache) row('Cache', timings.cache, `${this.cache ? this.cache.hits : 0} file(s) skipped`);
+        row('Transform', timings.transform, this.stats.workers > 0 ? `summed over ${this.stats.workers} workers` : '');
+        row('Write', timings.write);
+        row('Tailwind config', timings.config);
+        row('Total', timings.total + timings.config);
+        write(`Classes changed: ${this.stats.classesChanged}`);
+    }
+
+    /**
+     * Main execution method
+     * @returns {Promise<boolean>} True when every file was processed and written without errors
+     */
     async run() {
-        console.log(`Starting Tailwind prefix bot with prefix: "${this.prefix}"`);
+        const runStarted = Date.now();
+        const { timings } = this.stats;
+        console.log(`Starting Tailwind prefix bot, ${this.describeChange()}`);
         console.log(`Source directory: ${path.resolve(this.sourceDir)}`);
         console.log(`File patterns: ${this.filePatterns.join(', ')}`);
         console.log(`Exclude patterns: ${this.excludePatterns.join(', ')}`);
+        for (const scope of this.scopes) {
+            console.log(`Override ${path.relative(this.sourceDir, scope.sourceDir)}: ${scope.describeChange()}`);
+        }
         console.log('---');
 
+        if (!this.dryRun) {
+            this.startRun();
+            console.log(`Run ID: ${this.runId}`);
+        }
+
+        let pool = null;
+        this.report = this.reportFile ? { files: [] } : null;
         try {
-            const files = await this.getFiles();
-            console.log(`Found ${files.length} files to process\n`);
+            this.loadRecognizers();
+            if (!this.dryRun) await this.checkConfigConflicts();
+            this.cache = await this.loadCache();
+            if (this.concurrency > 1) pool = new WorkerPool(this.concurrency, this.getWorkerOptions());
+            this.stats.workers = pool ? pool.size : 0;
+            console.log('');
 
             let processedCount = 0;
             let updatedCount = 0;
 
-            for (const file of files) {
-                const wasUpdated = await this.processFile(file);
-                processedCount++;
-                if (wasUpdated) updatedCount++;
+            try {
+                // Files are processed while discovery goes on, several at a time with workers
+                const limit = pool ? this.concurrency * 2 : 1;
+                const inFlight = new Set();
+                const files = this.discoverFiles();
+
+                while (true) {
+                    const started = Date.now();
+                    const next = await files.next();
+                    timings.discovery += Date.now() - started;
+                    if (next.done) break;
+
+                    const task = this.processFile(next.value, pool).then(wasUpdated => {
+                        processedCount++;
+                        if (wasUpdated) updatedCount++;
+                        inFlight.delete(task);
+                    });
+                    inFlight.add(task);
+                    if (inFlight.size >= limit) await Promise.race(inFlight);
+                }
+                await Promise.all(inFlight);
+
+                if (this.transactional && !this.dryRun && !(await this.commitTransaction())) {
+                    updatedCount = 0;
+                }
+            } finally {
+                // Staged output left by a run that stopped early is never written
+                await Promise.all(this.staged.map(discardFile));
+                this.staged = [];
+                await this.saveManifest();
+                if (this.cache) await this.cache.save();
             }
 
             console.log('\n--- Summary ---');
             console.log(`Files processed: ${processedCount}`);
-            console.log(`Files updated: ${updatedCount}`);
-            console.log(`Prefix used: "${this.prefix}"`);
-
-            if (this.backup) {
-                console.log('\nBackup files created with .backup extension');
-                console.log('You can remove them once you verify everything works correctly');
+            console.log(`Files ${this.dryRun ? 'that would be updated' : 'updated'}: ${updatedCount}`);
+            console.log(`Change: ${this.describeChange()}`);
+            if (this.stats.errors > 0) console.log(`Files with errors: ${this.stats.errors}`);
+            if (this.report) await this.writeReport();
+
+            if (this.dryRun) {
+                console.log('\nDry run: no files were written and no backups were created');
+            } else if (this.backup && updatedCount > 0) {
+                console.log(`\nBackups saved to: ${this.getRunDir(this.runId)}`);
+                console.log(`Undo this run with: tailwind-prefixify undo ${this.runId}`);
+                console.log('You can remove backups once you verify everything works correctly');
             }
 
+            return this.stats.errors === 0;
         } catch (error) {
             console.error('Error running prefix bot:', error.message);
             process.exit(1);
+        } finally {
+            if (pool) await pool.close();
+            timings.total = Date.now() - runStarted;
         }
     }
 
-    // Method to update Tailwind config file
-    async updateTailwindConfig(configPath = './tailwind.config.js') {
-        try {
-            const configExists = await fs.access(configPath).then(() => true).catch(() => false);
-
-            if (configExists) {
-                console.log('\n--- Updating Tailwind Config ---');
-                await this.createBackup(configPath);
+    /**
+     * Tailwind config file this bot updates: the given one, or the first found from sourceDir
+     * upward. Searching upward from an override directory without a config of its own finds the
+     * parent's config, which keeps the parent's prefix, so only configs inside it count.
+     * @param {string} [configPath] - Config file to use
+     * @returns {string|null} Absolute config path
+     */
+    findTailwindConfigFile(configPath = this.tailwindConfig) {
+        if (configPath) return path.resolve(configPath);
+        const found = TailwindClassRecognizer.findConfig(this.sourceDir);
+        return found && (!this.parent || isWithin(found, this.sourceDir)) ? found : null;
+    }
 
-                let configContent = await fs.readFile(configPath, 'utf8');
+    /**
+     * Tailwind v4 CSS entry files this bot updates. Entries in the directories above, where the
+     * search falls back to, belong to the parent run rather than to an override directory.
+     * @returns {string[]} Absolute entry paths
+     */
+    findTailwindCssEntries() {
+        return findCssEntries(this.sourceDir)
+            .filter(entry => this.getScope(entry) === this && (!this.parent || isWithin(entry, this.sourceDir)));
+    }
 
-                // Add prefix to config
-                if (!configContent.includes('prefix:')) {
-                    configContent = configContent.replace(
-                        'module.exports = {',
-                        `module.exports = {\n  prefix: '${this.prefix}',`
-                    );
+    /**
+     * Stop before any file is written when a Tailwind config or CSS entry sets a different
+     * prefix, which would leave rewritten files that don't match it
+     * @throws {Error} Listing the conflicting files
+     */
+    async checkConfigConflicts() {
+        const conflicts = await this.findConfigConflicts();
+        if (conflicts.length === 0) return;
+        const expected = this.fromPrefix ? `'${this.fromPrefix}'` : this.prefix === null ? 'no prefix' : `'${this.prefix}'`;
+        const files = conflicts
+            .map(conflict => `  ${path.relative(process.cwd(), conflict.path)} sets prefix '${conflict.existingPrefix}'`)
+            .join('\n');
+        throw new Error(`The Tailwind config does not match the change (expected ${expected}); no files were changed. `
+            + `Set the prefix yourself, or re-run with the prefix it uses:\n${files}`);
+    }
 
-                    await fs.writeFile(configPath, configContent);
-                    console.log(`✓ Updated Tailwind config with prefix: ${configPath}`);
-                } else {
-                    console.log(`- Tailwind config already has prefix setting: ${configPath}`);
+    /**
+     * Find Tailwind configs and CSS entries, of this bot and its override directories, that set a
+     * prefix other than the one being replaced, so a run can stop before rewriting any file
+     * @returns {Promise<Object[]>} One `{ path, existingPrefix }` per conflicting file
+     */
+    async findConfigConflicts() {
+        const conflicts = [];
+        if (this.targetVersion === 4) {
+            for (const entry of this.findTailwindCssEntries()) {
+                const existingPrefix = getImportPrefix(await fs.readFile(entry, 'utf8'));
+                if (existingPrefix && existingPrefix !== this.prefix && existingPrefix !== this.fromPrefix) {
+                    conflicts.push({ path: entry, existingPrefix });
                 }
             }
+        } else {
+            const configPath = this.findTailwindConfigFile();
+            if (configPath) {
+                try {
+                    const update = updateConfigPrefix(await fs.readFile(configPath, 'utf8'), this.prefix, {
+                        fileExt: getConfigExt(configPath),
+                        fromPrefix: this.fromPrefix
+                    });
+                    if (update.status === 'conflict') conflicts.push({ path: configPath, existingPrefix: update.existingPrefix });
+                } catch {
+                    // An unreadable config is reported when it is updated
+                }
+            }
+        }
+
+        for (const scope of this.scopes) {
+            conflicts.push(...await scope.findConfigConflicts());
+        }
+        return conflicts;
+    }
+
+    /**
+     * Set the prefix in the project's Tailwind config (`tailwind.config.{js,cjs,mjs,ts}`, found
+     * from sourceDir upward unless given), or remove or replace fromPrefix there. The config is
+     * edited through its AST, so ESM and TypeScript configs, `defineConfig()` wrappers and
+     * variable-assigned configs all work.
+     * Override directories update their own config or CSS entry with their own prefix.
+     * @param {string} [configPath] - Config file to update
+     * @returns {Promise<Object[]>} One `{ path, status, existingPrefix }` per config file; status is
+     *   'updated', 'unchanged', 'conflict', 'unsupported' or 'error'
+     */
+    async updateTailwindConfig(configPath = this.tailwindConfig) {
+        const started = Date.now();
+        const results = this.targetVersion === 4
+            ? await this.updateTailwindCssEntry()
+            : await this.updateTailwindConfigFile(configPath);
+
+        for (const scope of this.scopes) {
+            results.push(...await scope.updateTailwindConfig());
+        }
+        this.stats.timings.config += Date.now() - started;
+        return results;
+    }
+
+    /**
+     * Tailwind v3 keeps its prefix in the JavaScript config: update it for this bot's settings
+     * @param {string} [configPath] - Config file to update
+     * @returns {Promise<Object[]>} Results as in updateTailwindConfig
+     */
+    async updateTailwindConfigFile(configPath) {
+        const wanted = this.prefix === null ? 'no prefix' : `prefix: '${this.prefix}'`;
+        const resolvedPath = this.findTailwindConfigFile(configPath);
+        if (!resolvedPath) {
+            const where = this.parent ? ` in ${path.relative(process.cwd(), this.sourceDir) || '.'}` : '';
+            console.log(`\n- No Tailwind config found${where}; make sure it has ${wanted}`);
+            return [];
+        }
+
+        const relativePath = path.relative(process.cwd(), resolvedPath);
+        const result = { path: resolvedPath, status: 'error', existingPrefix: null };
+
+        try {
+            console.log('\n--- Updating Tailwind Config ---');
+
+            const originalContent = await fs.readFile(resolvedPath, 'utf8');
+            const update = updateConfigPrefix(originalContent, this.prefix, {
+                fileExt: getConfigExt(resolvedPath),
+                fromPrefix: this.fromPrefix
+            });
+            result.status = update.status;
+            result.existingPrefix = update.existingPrefix;
+
+            switch (update.status) {
+                case 'unchanged':
+                    console.log(`- Tailwind config already has ${wanted}: ${relativePath}`);
+                    break;
+                case 'conflict':
+                    console.warn(`! Tailwind config sets prefix '${update.existingPrefix}', expected ${this.fromPrefix ? `'${this.fromPrefix}'` : wanted}; left unchanged: ${relativePath}`);
+                    console.warn(`  Set ${wanted} yourself, or re-run with the prefix the config uses`);
+                    break;
+                case 'unsupported':
+                    console.warn(`! Could not find the exported config object; set ${wanted} manually: ${relativePath}`);
+                    break;
+                default:
+                    if (this.dryRun) {
+                        this.patches.push(this.createPatch(resolvedPath, originalContent, update.code));
+                        console.log(`~ Would update Tailwind config to ${wanted}: ${relativePath}`);
+                        break;
+                    }
+
+                    await this.createBackup(resolvedPath, update.code);
+                    await this.writeFile(resolvedPath, update.code);
+                    this.updatedFiles.push(resolvedPath);
+                    await this.saveManifest();
+                    console.log(`✓ Updated Tailwind config to ${wanted}: ${relativePath}`);
+            }
         } catch (error) {
+            result.status = 'error';
             console.error('Error updating Tailwind config:', error.message);
         }
+
+        return [result];
+    }
+
+    /**
+     * Tailwind v4 keeps its configuration in CSS: set, replace or remove the `prefix(...)` of the
+     * `@import "tailwindcss"` in every entry file found in the source directory
+     * @returns {Promise<Object[]>} One `{ path, status, existingPrefix }` per entry file, as in updateTailwindConfig
+     */
+    async updateTailwindCssEntry() {
+        const results = [];
+        const wanted = this.prefix === null ? 'no prefix' : `prefix(${this.prefix})`;
+        const entries = this.findTailwindCssEntries();
+        if (entries.length === 0) {
+            const where = this.parent ? ` in ${path.relative(process.cwd(), this.sourceDir) || '.'}` : '';
+            console.log(`\n- No Tailwind CSS entry (@import "tailwindcss") found${where}; make sure it has ${wanted}`);
+            return results;
+        }
+
+        console.log('\n--- Updating Tailwind CSS Entry ---');
+        for (const entry of entries) {
+            const relativePath = path.relative(process.cwd(), entry);
+            const result = { path: entry, status: 'error', existingPrefix: null };
+            results.push(result);
+
+            try {
+                const originalContent = await fs.readFile(entry, 'utf8');
+                result.existingPrefix = getImportPrefix(originalContent);
+
+                if (result.existingPrefix === this.prefix) {
+                    result.status = 'unchanged';
+                    console.log(`- Tailwind CSS entry already has ${wanted}: ${relativePath}`);
+                    continue;
+                }
+                if (result.existingPrefix && result.existingPrefix !== this.fromPrefix) {
+                    result.status = 'conflict';
+                    console.warn(`! Tailwind CSS entry uses prefix(${result.existingPrefix}), expected ${this.fromPrefix ? `prefix(${this.fromPrefix})` : wanted}; left unchanged: ${relativePath}`);
+                    console.warn(`  Set ${wanted} yourself, or re-run with the prefix the entry uses`);
+                    continue;
+                }
+
+                const updatedContent = setImportPrefix(originalContent, this.prefix);
+                result.status = 'updated';
+                if (this.dryRun) {
+                    this.patches.push(this.createPatch(entry, originalContent, updatedContent));
+                    console.log(`~ Would update Tailwind CSS entry to ${wanted}: ${relativePath}`);
+                    continue;
+                }
+
+                await this.createBackup(entry, updatedContent);
+                await this.writeFile(entry, updatedContent);
+                this.updatedFiles.push(entry);
+                console.log(`✓ Updated Tailwind CSS entry to ${wanted}: ${relativePath}`);
+            } catch (error) {
+                result.status = 'error';
+                console.error(`Error updating Tailwind CSS entry ${relativePath}:`, error.message);
+            }
+        }
+        if (!this.dryRun) await this.saveManifest();
+
+        return results;
     }
 
     // Test method to verify the logic with examples
@@ -623,116 +1855,114 @@ class TailwindPrefixBot {
             'bg-red-500',           // Simple class
             'hover:bg-red-500',     // Pseudo class
             'md:hover:bg-red-500',  // Multiple prefixes
-            '!-mt-4',               // Negative
+            '-mt-4',                // Negative
+            '!-mt-4',               // Important negative
             'hover:!-translate-x-2', // Negative with pseudo
-            'bg-gray',              // Incomplete color
+            'group-hover/item:opacity-50', // Named group
+            'peer-checked:bg-blue-500', // Peer modifier
+            'aria-checked:bg-blue-500', // ARIA variant
+            'data-[state=open]:flex', // Data attribute variant
+            '[&>*]:p-4',            // Arbitrary variant
+            '[@media(min-width:900px)]:flex', // Arbitrary variant with a colon
+            'supports-[display:grid]:grid', // Colon in a variant value
+            '*:p-2',                // Child variant
+            'has-[>img]:p-4',       // Has variant
+            'bg-red-500/50',        // Opacity modifier
+            '[mask-type:luminance]', // Arbitrary property
+            'p-4!',                 // Trailing important flag
+            'bg-gray',              // Incomplete color (not generated by Tailwind)
+            'card',                 // Custom component class (should be ignored)
             'w-[100px]',            // Arbitrary value
             '!-left-[60%]',         // Negative arbitrary
             'myCustomClass',        // camelCase (should be ignored)
             'my_custom_class',      // snake_case (should be ignored)
             'dark:hover:!-rotate-45', // Complex case
-            'two-bg-red-500'        // Already prefixed (should be ignored)
+            'tw-bg-red-500'         // Already prefixed (should be ignored)
         ];
 
         testClasses.forEach(className => {
-            const result = this.addPrefixToClass(className);
+            const result = this.transformClass(className);
             console.log(`${className.padEnd(25)} -> ${result}`);
         });
 
         console.log('--- End Test ---\n');
+        this.testSvelteDirectives();
+        this.testPostcssPlugin();
     }
-}
-
-
-
-// Usage example and CLI interface
-async function main() {
-    const args = process.argv.slice(2);
-
-    // Parse command line arguments
-    const options = {
-        prefix: 'two-',
-        sourceDir: './',
-        filePatterns: ['**/*.html', '**/*.php', '**/*.css', '**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx', '**/*.vue'],
-        excludePatterns: ['node_modules/**', 'vendor/**', '.git/**', 'dist/**', 'build/**'],
-        backup: true,
-        cleanBackupsFlag: false
-    };
-
-
 
-    // Simple argument parsing
-    for (let i = 0; i < args.length; i++) {
-        switch (args[i]) {
-            case '--prefix':
-                options.prefix = args[++i];
-                break;
-            case '--dir':
-                options.sourceDir = args[++i];
-                break;
-            case '--no-backup':
-                options.backup = false;
-                break;
-            case '--clean-backups':
-                options.cleanBackupsFlag = true;
-                break;
-            case '--test':
-                const testBot = new TailwindPrefixBot(options);
-                testBot.testLogic();
-                return;
-            case '--help':
-                console.log(`
-Tailwind Class Prefix Bot
-
-Usage: node tailwind-prefix-bot.js [options]
-
-Options:
-  --prefix PREFIX     Set the prefix to add (default: 'two-')
-  --dir DIRECTORY     Set the source directory (default: './')
-  --no-backup         Don't create backup files
-  --test              Test the class processing logic with examples
-  --clean-backups        Delete all .backup files
-  --help              Show this help message
+    /**
+     * Prefix Svelte class directives, including the shorthand that reads a variable of the
+     * class's name; a wrong result fails the test run
+     */
+    testSvelteDirectives() {
+        console.log('--- Testing Svelte Class Directives ---');
 
-Examples:
-  node tailwind-prefix-bot.js --prefix "my-"
-  node tailwind-prefix-bot.js --prefix "two-" --dir "./src"
-  node tailwind-prefix-bot.js --prefix "custom-" --no-backup
-  node tailwind-prefix-bot.js --clean-backups
-  node tailwind-prefix-bot.js --test
-        `);
-                return;
+        const bot = new TailwindPrefixBot({ prefix: 'tw-', classDetection: this.classDetection, logLevel: 'silent' });
+        const cases = [
+            ['<div class:hidden={!open}></div>', '<div class:tw-hidden={!open}></div>'],
+            ['<div class:flex class:card></div>', '<div class:tw-flex={flex} class:card></div>']
+        ];
+        for (const [input, expected] of cases) {
+            const result = bot.transformContent(input, '.svelte').code;
+            console.log(`${input.padEnd(40)} -> ${result}`);
+            if (result !== expected) {
+                console.log(`Expected: ${expected}`);
+                process.exitCode = 1;
+            }
         }
+        console.log('--- End Test ---\n');
     }
 
-    const bot = new TailwindPrefixBot(options);
+    /**
+     * Run the PostCSS plugin on a stylesheet with an `@layer` block and compare its output with
+     * the stylesheet processor the CLI uses; a difference fails the test run
+     */
+    testPostcssPlugin() {
+        console.log('--- Testing PostCSS Plugin ---');
 
-    if (options.cleanBackupsFlag) {
-        const deletedCount = await bot.cleanupBackups();
-        console.log(`\nTotal backup files deleted: ${deletedCount}`);
-        return; // 👈 prevent run()
+        let postcss;
+        try {
+            postcss = require('postcss');
+        } catch {
+            console.log('postcss is not installed, skipping');
+            console.log('--- End Test ---\n');
+            return;
+        }
 
+        const css = [
+            '.p-4:hover, .card .mt-2 { color: red; }',
+            '@layer components {',
+            '  .btn { @apply px-4 font-bold; }',
+            '  @media (min-width: 640px) { .flex { display: flex; } }',
+            '}',
+            '@keyframes fade { from { opacity: 0; } to { opacity: 1; } }',
+            ''
+        ].join('\n');
+        const pluginOptions = { prefix: this.prefix, targetVersion: this.targetVersion, classDetection: this.classDetection };
+        const plugin = require('./integrations/postcss')(pluginOptions);
+        const fromPlugin = postcss([plugin]).process(css, { from: undefined }).css;
+        const fromCli = new TailwindPrefixBot({ ...pluginOptions, logLevel: 'silent' }).processStylesheet(css, '.css');
+
+        console.log(fromPlugin);
+        if (fromPlugin === fromCli) {
+            console.log('Matches the CLI output');
+        } else {
+            console.log('Differs from the CLI output:');
+            console.log(fromCli);
+            process.exitCode = 1;
+        }
+        console.log('--- End Test ---\n');
     }
+}
 
-    // Run the bot
-    await bot.run();
-
-    // Update Tailwind config
-    await bot.updateTailwindConfig();
-
-
+module.exports = TailwindPrefixBot;
 
-    console.log('\n🎉 Done! Your Tailwind classes now have the prefix.');
-    console.log('\nNext steps:');
-    console.log('1. Update your Tailwind config to use the same prefix');
-    console.log('2. Rebuild your CSS with the new prefix');
-    console.log('3. Test your application thoroughly');
-    console.log('4. Remove backup files once everything works correctly');
-}
+// In-memory transform API; required after the export above because api.js uses the class
+const { transformClassList, transformSource } = require('./api');
+module.exports.transformClassList = transformClassList;
+module.exports.transformSource = transformSource;
 
-// Run if called directly
+// Running this file directly runs the CLI, once the exports it uses are in place
 if (require.main === module) {
-    main().catch(console.error);
+    require('../bin/cli.js');
 }
-
-module.exports = TailwindPrefixBot;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { createBot } = require('./shared');
+const { prefixSelector, prefixApplyParams } = require('../processors/stylesheet');
+
+/**
+ * Whether a node sits inside `@keyframes`, whose `from`/`to`/`50%` "selectors" are not selectors
+ * @param {Object} node - PostCSS node
+ * @returns {boolean} Whether a keyframes at-rule encloses the node
+ */
+function isInKeyframes(node) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+        if (parent.type === 'atrule' && /keyframes$/i.test(parent.name)) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether a node sits inside `@layer`, whose rules define the project's own classes and keep
+ * their names, as in the stylesheet processor the CLI uses
+ * @param {Object} node - PostCSS node
+ * @returns {boolean} Whether a layer at-rule encloses the node
+ */
+function isInLayer(node) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+        if (parent.type === 'atrule' && parent.name.toLowerCase() === 'layer') return true;
+    }
+    return false;
+}
+
+/**
+ * PostCSS plugin prefixing Tailwind utilities in selectors and `@apply` rules. Add it
+ * before `tailwindcss` so Tailwind resolves the prefixed `@apply` classes. Rules inside
+ * `@layer` keep their selectors; their `@apply` rules are prefixed.
+ * @param {Object} [options] - TailwindPrefixBot options (prefix, targetVersion, ignoreClasses, ...)
+ * @returns {Object} PostCSS plugin
+ * @example
+ * // postcss.config.js
+ * module.exports = {
+ *     plugins: [require('tailwind-prefix-bot/postcss')({ prefix: 'tw-' }), require('tailwindcss')]
+ * };
+ */
+function tailwindPrefix(options = {}) {
+    let bot = null;
+    const getBot = () => bot || (bot = createBot(options, options.sourceDir || process.cwd()));
+
+    return {
+        postcssPlugin: 'tailwind-prefix',
+
+        Once(root) {
+            const current = getBot();
+
+            root.walkRules(rule => {
+                if (isInKeyframes(rule) || isInLayer(rule)) return;
+                const selector = prefixSelector(rule.selector, current);
+                if (selector !== rule.selector) rule.selector = selector;
+            });
+
+            root.walkAtRules('apply', atRule => {
+                const params = prefixApplyParams(atRule.params, current);
+                if (params !== atRule.params) atRule.params = params;
+            });
+        }
+    };
+}
+
+tailwindPrefix.postcss = true;
+
+module.exports = tailwindPrefix;
@@ -0,0 +1,86 @@
+const path = require('path');
+const TailwindPrefixBot = require('../index');
+const { LANGUAGES } = require('../api');
+const { getFileType } = require('../file-type');
+
+/**
+ * Extensions the content transformer understands
+ */
+const SUPPORTED_EXTENSIONS = new Set(Object.values(LANGUAGES));
+
+const DEFAULT_EXCLUDE = [/[\\/]node_modules[\\/]/];
+
+/**
+ * Build the bot a build plugin transforms modules with. The Tailwind config is found
+ * from `root` upward, as the CLI does, and loaded once for every module of the build.
+ * @param {Object} options - Plugin options (TailwindPrefixBot options plus include/exclude)
+ * @param {string} root - Project root
+ * @returns {TailwindPrefixBot} Bot instance
+ */
+function createBot(options, root) {
+    const botOptions = { ...options };
+    delete botOptions.include;
+    delete botOptions.exclude;
+    return new TailwindPrefixBot({
+        logLevel: 'error',
+        ...botOptions,
+        sourceDir: botOptions.sourceDir || root,
+        backup: false,
+        dryRun: true
+    });
+}
+
+/**
+ * Split a module id such as `/src/App.vue?vue&type=style&index=0` into file and query
+ * @param {string} id - Module id or resource path
+ * @returns {{file: string, query: string}} File path and query string (without `?`)
+ */
+function parseModuleId(id) {
+    const index = id.indexOf('?');
+    return index === -1
+        ? { file: id, query: '' }
+        : { file: id.slice(0, index), query: id.slice(index + 1) };
+}
+
+/**
+ * Test a file against one include/exclude entry or list of entries
+ * @param {string} file - File path
+ * @param {RegExp|string|Function|Array} pattern - Regex, path substring, predicate or a list of them
+ * @returns {boolean} Whether any entry matches
+ */
+function matchesPattern(file, pattern) {
+    if (Array.isArray(pattern)) return pattern.some(entry => matchesPattern(file, entry));
+    if (pattern instanceof RegExp) return pattern.test(file);
+    if (typeof pattern === 'function') return Boolean(pattern(file));
+    if (typeof pattern === 'string') return file.split(path.sep).join('/').includes(pattern);
+    return false;
+}
+
+/**
+ * Decide whether a module should be transformed. Sub-requests for single blocks of a
+ * component (`?vue&type=template`, `?svelte&type=style`) are skipped because the whole
+ * component was transformed before it was split.
+ * @param {string} id - Module id or resource path, optionally with a query
+ * @param {Object} options - Plugin options
+ * @param {RegExp|string|Function|Array} [options.include] - Only transform matching files
+ * @param {RegExp|string|Function|Array} [options.exclude] - Never transform matching files
+ *   (node_modules by default)
+ * @returns {string|null} Extension selecting the processor, or null to leave the module alone
+ */
+function getTransformExt(id, { include, exclude = DEFAULT_EXCLUDE } = {}) {
+    const { file, query } = parseModuleId(id);
+    if (/(^|&)type=/.test(query) || file.startsWith('\0')) return null;
+
+    const fileExt = getFileType(file);
+    if (!SUPPORTED_EXTENSIONS.has(fileExt)) return null;
+    if (include !== undefined && !matchesPattern(file, include)) return null;
+    if (matchesPattern(file, exclude)) return null;
+    return fileExt;
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    createBot,
+    parseModuleId,
+    getTransformExt
+};
@@ -0,0 +1,167 @@
+const Diff = require('diff');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a number as a base64 VLQ, as used in source map `mappings`
+ * @param {number} value - Number to encode
+ * @returns {string} Encoded value
+ */
+function encodeVlq(value) {
+    let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+    let encoded = '';
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64[digit];
+    } while (vlq > 0);
+    return encoded;
+}
+
+/**
+ * Segments `[generatedColumn, originalColumn]` for one changed line. Unchanged text maps to
+ * itself and inserted text (the prefix) maps to the position it was inserted at.
+ * @param {string} original - Original line
+ * @param {string} generated - Transformed line
+ * @returns {number[][]} Segments
+ */
+function diffLineSegments(original, generated) {
+    const segments = [];
+    let originalColumn = 0;
+    let generatedColumn = 0;
+
+    for (const part of Diff.diffChars(original, generated)) {
+        if (part.removed) {
+            originalColumn += part.value.length;
+            continue;
+        }
+        segments.push([generatedColumn, originalColumn]);
+        generatedColumn += part.value.length;
+        if (!part.added) originalColumn += part.value.length;
+    }
+    return segments;
+}
+
+/**
+ * Decode a base64 VLQ `mappings` string into absolute segments
+ * @param {string} mappings - Encoded mappings
+ * @returns {number[][][]} Per generated line, segments `[generatedColumn, sourceIndex,
+ *   sourceLine, sourceColumn, nameIndex?]`; segments without a source are left out
+ */
+function decodeMappings(mappings) {
+    const state = [0, 0, 0, 0, 0];
+    return mappings.split(';').map(line => {
+        state[0] = 0;
+        const segments = [];
+        for (const encoded of line.split(',')) {
+            if (!encoded) continue;
+            const fields = [];
+            let value = 0;
+            let shift = 0;
+            for (const char of encoded) {
+                const digit = BASE64.indexOf(char);
+                value += (digit & 31) << shift;
+                if (digit & 32) {
+                    shift += 5;
+                    continue;
+                }
+                fields.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
+            fields.forEach((field, index) => { state[index] += field; });
+            if (fields.length >= 4) segments.push(state.slice(0, fields.length));
+        }
+        return segments;
+    });
+}
+
+/**
+ * Encode absolute segments as a `mappings` string, each field relative to the previous segment
+ * @param {number[][][]} lines - Per generated line, segments as returned by decodeMappings
+ * @returns {string} Encoded mappings
+ */
+function encodeMappings(lines) {
+    const previous = [0, 0, 0, 0, 0];
+    return lines.map(segments => {
+        // Columns restart on every line; the other fields carry over
+        previous[0] = 0;
+        return segments.map(segment => segment.map((field, index) => {
+            const encoded = encodeVlq(field - previous[index]);
+            previous[index] = field;
+            return encoded;
+        }).join('')).join(',');
+    }).join(';');
+}
+
+/**
+ * Build a source map from a transformed file back to its original. The transforms only
+ * rewrite class names in place, so lines correspond one to one and only changed lines
+ * need a character diff.
+ * @param {string} original - Original source
+ * @param {string} generated - Transformed source
+ * @param {string} source - Source file name recorded in the map
+ * @returns {Object} Source map v3
+ */
+function createSourceMap(original, generated, source) {
+    const originalLines = original.split('\n');
+    const generatedLines = generated.split('\n');
+    const sameLineCount = originalLines.length === generatedLines.length;
+
+    const lines = generatedLines.map((line, index) => {
+        const originalLine = sameLineCount ? originalLines[index] : null;
+        const segments = originalLine === null || originalLine === line
+            ? [[0, 0]]
+            : diffLineSegments(originalLine, line);
+        return segments.map(([generatedColumn, originalColumn]) => [generatedColumn, 0, index, originalColumn]);
+    });
+
+    return {
+        version: 3,
+        sources: [source],
+        sourcesContent: [original],
+        names: [],
+        mappings: encodeMappings(lines)
+    };
+}
+
+/**
+ * Chain a map of this transform onto the map of the steps before it, so positions in the
+ * output point at the original source rather than at the input of this transform
+ * @param {Object} map - Map from the output to this transform's input (from createSourceMap)
+ * @param {Object|string} inputMap - Map from the input to the original source
+ * @returns {Object} Source map v3 from the output to the original source
+ */
+function combineSourceMaps(map, inputMap) {
+    const input = typeof inputMap === 'string' ? JSON.parse(inputMap) : inputMap;
+    const inputLines = decodeMappings(input.mappings);
+
+    const lines = decodeMappings(map.mappings).map(segments => segments.flatMap(([generatedColumn, , line, column]) => {
+        // The input segment covering the column, and how far into it the column is
+        const candidates = inputLines[line] || [];
+        let covering = null;
+        for (const segment of candidates) {
+            if (segment[0] > column) break;
+            covering = segment;
+        }
+        if (!covering) return [];
+        const [inputColumn, sourceIndex, sourceLine, sourceColumn, ...name] = covering;
+        return [[generatedColumn, sourceIndex, sourceLine, sourceColumn + column - inputColumn, ...name]];
+    }));
+
+    return {
+        version: 3,
+        file: input.file,
+        sources: input.sources,
+        sourcesContent: input.sourcesContent,
+        sourceRoot: input.sourceRoot,
+        names: input.names || [],
+        mappings: encodeMappings(lines)
+    };
+}
+
+module.exports = {
+    createSourceMap,
+    combineSourceMaps
+};
@@ -0,0 +1,48 @@
+const { createBot, getTransformExt, parseModuleId } = require('./shared');
+const { createSourceMap } = require('./source-map');
+
+/**
+ * Vite (and Rollup) plugin prefixing Tailwind classes as modules are loaded, so sources on
+ * disk stay unprefixed. Runs before other plugins, which therefore see whole components
+ * and stylesheets with `@apply` already prefixed.
+ * @param {Object} [options] - TailwindPrefixBot options (prefix, targetVersion, classHelpers, ...)
+ * @param {RegExp|string|Function|Array} [options.include] - Only transform matching files
+ * @param {RegExp|string|Function|Array} [options.exclude] - Never transform matching files
+ *   (node_modules by default)
+ * @returns {Object} Vite plugin
+ * @example
+ * // vite.config.js
+ * const tailwindPrefix = require('tailwind-prefix-bot/vite');
+ * module.exports = { plugins: [tailwindPrefix({ prefix: 'tw-' })] };
+ */
+function tailwindPrefix(options = {}) {
+    let root = process.cwd();
+    let bot = null;
+
+    return {
+        name: 'tailwind-prefix',
+        enforce: 'pre',
+
+        configResolved(config) {
+            root = config.root;
+        },
+
+        transform(code, id) {
+            const fileExt = getTransformExt(id, options);
+            if (!fileExt) return null;
+
+            if (!bot) bot = createBot(options, root);
+            const result = bot.transformContent(code, fileExt);
+            for (const warning of result.warnings) this.warn(warning);
+            if (result.code === code) return null;
+
+            return {
+                code: result.code,
+                map: createSourceMap(code, result.code, parseModuleId(id).file)
+            };
+        }
+    };
+}
+
+module.exports = tailwindPrefix;
+module.exports.default = tailwindPrefix;
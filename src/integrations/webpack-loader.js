@@ -0,0 +1,65 @@
+const { createBot, getTransformExt } = require('./shared');
+const { createSourceMap, combineSourceMaps } = require('./source-map');
+
+// Loaders are called once per module; bots (and the Tailwind config they load) are shared per options
+const bots = new Map();
+
+/**
+ * Bot for a loader configuration
+ * @param {Object} options - Loader options
+ * @param {string} root - Project root
+ * @returns {TailwindPrefixBot} Bot instance
+ */
+function getBot(options, root) {
+    const key = `${root}\0${JSON.stringify(options)}`;
+    if (!bots.has(key)) bots.set(key, createBot(options, root));
+    return bots.get(key);
+}
+
+/**
+ * webpack loader prefixing Tailwind classes as modules are loaded. Use it as the first
+ * loader (`enforce: 'pre'`) so it sees the original source; when a previous loader passed
+ * a source map, the map of the rewrites is chained onto it.
+ * @param {string} source - Module source
+ * @param {Object} [inputMap] - Source map of previous loaders
+ * @example
+ * // webpack.config.js
+ * module.exports = {
+ *     module: {
+ *         rules: [{
+ *             test: /\.(html|vue|svelte|css|scss|jsx?|tsx?)$/,
+ *             enforce: 'pre',
+ *             exclude: /node_modules/,
+ *             loader: 'tailwind-prefix-bot/webpack-loader',
+ *             options: { prefix: 'tw-' }
+ *         }]
+ *     }
+ * };
+ */
+function tailwindPrefixLoader(source, inputMap) {
+    if (this.cacheable) this.cacheable();
+
+    const options = (this.getOptions ? this.getOptions() : this.query) || {};
+    const fileExt = getTransformExt(this.resourcePath + (this.resourceQuery || ''), { exclude: [], ...options });
+    if (!fileExt) {
+        this.callback(null, source, inputMap);
+        return;
+    }
+
+    const bot = getBot(options, this.rootContext || process.cwd());
+    const result = bot.transformContent(source, fileExt);
+    for (const warning of result.warnings) this.emitWarning(new Error(warning));
+    if (result.code === source) {
+        this.callback(null, source, inputMap);
+        return;
+    }
+
+    let map;
+    if (this.sourceMap) {
+        map = createSourceMap(source, result.code, this.resourcePath);
+        if (inputMap) map = combineSourceMaps(map, inputMap);
+    }
+    this.callback(null, result.code, map);
+}
+
+module.exports = tailwindPrefixLoader;
@@ -0,0 +1,104 @@
+const { forEachAttribute } = require('./markup');
+const { isBindingAttribute } = require('./html');
+const { transformClassExpression, ANGULAR_CLASS_BINDINGS, ANGULAR_CLASS_TOGGLE } = require('./javascript');
+
+/**
+ * File name ending of Angular component templates, used as their file type
+ */
+const ANGULAR_TEMPLATE_EXT = '.component.html';
+
+/**
+ * Process an Angular template: static `class` and `ngClass` attributes (with `{{ }}`
+ * interpolation), `[class]` and `[ngClass]` bindings in string, array and object syntax,
+ * and `[class.foo]` toggles
+ * @param {string} content - Template source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {Object} [options] - Processor options
+ * @param {string[]} [options.classAttributes=[]] - More attributes holding classes; binding
+ *   attributes (`[tw]`, `x-bind:class`) are read as expressions
+ * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+ * @returns {string} Processed template
+ */
+function processAngularTemplate(content, bot, { classAttributes = [], offset = 0 } = {}) {
+    const extraAttributes = new Set(classAttributes.map(name => name.toLowerCase()));
+    const edits = [];
+
+    const pushEdit = (start, end, text) => {
+        if (text !== content.slice(start, end)) edits.push({ start, end, text });
+    };
+
+    const transformExpression = (start, end, keyQuote) => {
+        const expression = content.slice(start, end);
+        if (expression.trim() === '') return;
+        try {
+            pushEdit(start, end, transformClassExpression(expression, bot, {
+                fileExt: '.ts',
+                keyQuote,
+                offset: offset + start,
+                rule: 'angular-class-binding'
+            }));
+        } catch (error) {
+            bot.warn(`Skipping unparsable class binding "${expression.trim()}": ${error.message}`);
+        }
+    };
+
+    // class="static {{ expr }} static": prefix the text and the expressions separately
+    const transformInterpolatedClass = (start, end, keyQuote) => {
+        let cursor = start;
+        while (cursor < end) {
+            const open = content.indexOf('{{', cursor);
+            const segmentEnd = open === -1 || open >= end ? end : open;
+            pushEdit(cursor, segmentEnd, bot.prefixClassList(content.slice(cursor, segmentEnd), {
+                skipFirst: cursor > start,
+                skipLast: segmentEnd < end,
+                offset: offset + cursor,
+                rule: 'angular-class'
+            }));
+            if (segmentEnd === end) break;
+
+            const close = content.indexOf('}}', open + 2);
+            if (close === -1 || close > end) break;
+            transformExpression(open + 2, close, keyQuote);
+            cursor = close + 2;
+        }
+    };
+
+    forEachAttribute(content, ({ name, nameStart, value, start, end, quote }) => {
+        const toggle = ANGULAR_CLASS_TOGGLE.exec(name);
+        if (toggle) {
+            const classStart = nameStart + '[class.'.length;
+            pushEdit(classStart, classStart + toggle[1].length, bot.prefixClassList(toggle[1], {
+                offset: offset + classStart,
+                rule: 'angular-class-toggle'
+            }));
+            return;
+        }
+        if (value === null) return;
+
+        // Keep string quotes inside a binding from clashing with the attribute's own quotes
+        const keyQuote = quote === "'" ? '"' : "'";
+
+        const attribute = name.toLowerCase();
+        const isExtra = extraAttributes.has(attribute);
+        if (name === 'class' || name === 'ngClass') {
+            transformInterpolatedClass(start, end, keyQuote);
+        } else if (ANGULAR_CLASS_BINDINGS.includes(name)) {
+            transformExpression(start, end, keyQuote);
+        } else if (isExtra && (attribute.startsWith('[') || isBindingAttribute(attribute))) {
+            transformExpression(start, end, keyQuote);
+        } else if (isExtra) {
+            transformInterpolatedClass(start, end, keyQuote);
+        }
+    });
+
+    let result = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    ANGULAR_TEMPLATE_EXT,
+    processAngularTemplate
+};
@@ -0,0 +1,78 @@
+const { forEachAttribute } = require('./markup');
+const { transformClassExpression } = require('./javascript');
+
+/**
+ * Elements whose content is not markup to process: `<pre>` shows code samples as written,
+ * and the text of `<textarea>` and `<title>` is never parsed as tags
+ */
+const SKIPPED_ELEMENTS = ['pre', 'textarea', 'title'];
+
+/**
+ * Whether a configured class attribute holds a JavaScript expression, as Alpine and Vue
+ * bindings do (`:class`, `x-bind:class`), rather than a class list (`tw`, `ui-classes`)
+ * @param {string} name - Lowercase attribute name
+ * @returns {boolean} True for binding attributes
+ */
+function isBindingAttribute(name) {
+    return name.startsWith(':') || name.includes('bind:');
+}
+
+/**
+ * Process the class attributes of HTML markup. Only attributes of real start tags count:
+ * `class=` in text, comments, `data-class` or `<script>`, `<style>` and `<pre>` content is
+ * left alone. Values are rewritten in place, so whitespace, line breaks and quotes stay as written.
+ * @param {string} content - Markup, a whole document or an HTML fragment from a string
+ * @param {Object} bot - TailwindPrefixBot instance providing `prefixClassList` and `warn`
+ * @param {Object} [options] - Processor options
+ * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+ * @param {string} [options.rule='html-class'] - Rule name recorded with each change
+ * @param {string[]} [options.classAttributes=[]] - More attributes holding classes; binding
+ *   attributes (`:class`, `x-bind:class`) are read as JavaScript expressions
+ * @param {string[]} [options.classHelpers] - Class helper function names, for binding expressions
+ * @returns {string} Processed markup
+ */
+function processHtml(content, bot, { offset = 0, rule = 'html-class', classAttributes = [], classHelpers } = {}) {
+    const extraAttributes = new Set(classAttributes.map(name => name.toLowerCase()));
+    const edits = [];
+
+    const pushEdit = (start, end, text) => {
+        if (text !== content.slice(start, end)) edits.push({ start, end, text });
+    };
+
+    forEachAttribute(content, ({ name, value, start, end, quote }) => {
+        const attribute = name.toLowerCase();
+        if (value === null || (attribute !== 'class' && !extraAttributes.has(attribute))) return;
+
+        if (attribute !== 'class' && isBindingAttribute(attribute)) {
+            if (value.trim() === '') return;
+            try {
+                pushEdit(start, end, transformClassExpression(value, bot, {
+                    fileExt: '.js',
+                    keyQuote: quote === "'" ? '"' : "'",
+                    offset: offset + start,
+                    rule,
+                    classHelpers
+                }));
+            } catch (error) {
+                bot.warn(`Skipping unparsable ${name} binding "${value.trim()}": ${error.message}`);
+            }
+            return;
+        }
+
+        // A fragment from a string may end inside the value, which then continues in code
+        const unterminated = quote !== '' && end === content.length;
+        pushEdit(start, end, bot.prefixClassList(value, { skipLast: unterminated, offset: offset + start, rule }));
+    }, { skipContentOf: SKIPPED_ELEMENTS });
+
+    let result = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    SKIPPED_ELEMENTS,
+    isBindingAttribute,
+    processHtml
+};
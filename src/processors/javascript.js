@@ -0,0 +1,684 @@
+const { parse, parseExpression } = require('@babel/parser');
+const { prefixSelector } = require('./stylesheet');
+
+/**
+ * Functions whose arguments are class lists (strings, arrays, conditionals and object maps)
+ */
+const DEFAULT_CLASS_HELPERS = ['clsx', 'classnames', 'classNames', 'cx', 'cn', 'cva', 'tv', 'twMerge', 'twJoin'];
+
+/**
+ * Helpers taking a variant config object (`cva`, tailwind-variants `tv`), mapped to the index of
+ * that argument. In a variant config object keys are variant names and only the values are classes.
+ */
+const VARIANT_CONFIG_HELPERS = { cva: 1, tv: 0 };
+
+/**
+ * JSX attributes holding class lists; Solid's `classList` takes an object whose keys are classes,
+ * twin.macro's `tw` prop a class string
+ */
+const CLASS_ATTRIBUTES = ['className', 'class', 'classList', 'tw'];
+
+/**
+ * Angular property bindings whose value is a class expression, in templates and `host` metadata
+ */
+const ANGULAR_CLASS_BINDINGS = ['[class]', '[ngClass]', '[className]', '[attr.class]'];
+
+/**
+ * Angular single class toggles: `[class.bg-red-500]`
+ */
+const ANGULAR_CLASS_TOGGLE = /^\[class\.([^\]]+)\]$/;
+
+/**
+ * Template tags whose strings are class lists: twin.macro's tw`...`, tw.button`...` and tw(Link)`...`
+ */
+const CLASS_TEMPLATE_TAGS = ['tw'];
+
+/**
+ * `classList` methods mapped to the indexes of their class name arguments (null for all).
+ * They only count when called on a `classList`, so `set.add('flex')` is left alone.
+ */
+const CLASS_LIST_METHODS = { add: null, remove: null, toggle: [0], contains: [0], replace: [0, 1] };
+
+/**
+ * DOM and jQuery methods taking class lists, mapped to the indexes of those arguments
+ */
+const CLASS_METHODS = { addClass: [0], removeClass: [0], toggleClass: [0], hasClass: [0], getElementsByClassName: [0] };
+
+/**
+ * DOM and jQuery functions and methods whose first argument is a CSS selector
+ */
+const SELECTOR_METHODS = ['querySelector', 'querySelectorAll', 'closest', '$', 'jQuery'];
+
+/**
+ * Selector methods whose names are common elsewhere (`array.find()`, `route.matches()`), only
+ * read as selectors when called on an element or jQuery object (see isDomReceiver)
+ */
+const ELEMENT_SELECTOR_METHODS = ['matches', 'find'];
+
+/**
+ * Properties holding elements: `event.target`, `el.parentElement`, `this.$el`
+ */
+const ELEMENT_PROPERTIES = new Set([
+    'target', 'currentTarget', 'relatedTarget', 'parentElement', 'parentNode', 'documentElement', 'body',
+    'firstElementChild', 'lastElementChild', 'nextElementSibling', 'previousElementSibling', 'activeElement', '$el'
+]);
+
+// Variable names used for elements: el, element, node, buttonEl, $modal
+const ELEMENT_NAME = /^(?:\$|(?:el|elem|element|node)$)|(?:El|Elem|Element|Node)$/;
+
+/**
+ * Properties whose assigned value is a class list: `el.className = '...'`
+ */
+const CLASS_PROPERTIES = ['className'];
+
+// Keys that never hold child nodes
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'range', 'leadingComments', 'trailingComments', 'innerComments', 'comments', 'tokens']);
+
+/**
+ * Pick the Babel parser plugins for a file extension
+ * @param {string} fileExt - Extension including the dot
+ * @returns {string[]} Parser plugins
+ */
+function getParserPlugins(fileExt) {
+    switch (fileExt) {
+        case '.ts':
+        case '.mts':
+        case '.cts':
+            return ['typescript', 'decorators-legacy'];
+        case '.tsx':
+            return ['typescript', 'jsx', 'decorators-legacy'];
+        default:
+            return ['jsx', 'decorators-legacy'];
+    }
+}
+
+/**
+ * Parse JavaScript/TypeScript source into a Babel AST
+ * @param {string} code - Source code
+ * @param {string} [fileExt='.tsx'] - Extension deciding the syntax plugins
+ * @returns {Object} Babel File node
+ * @throws {SyntaxError} If the source can't be parsed
+ */
+function parseSource(code, fileExt = '.tsx') {
+    return parse(code, {
+        sourceType: 'unambiguous',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        plugins: getParserPlugins(fileExt)
+    });
+}
+
+/**
+ * Name of the function being called: `clsx(...)` -> clsx, `utils.cn(...)` -> cn
+ * @param {Object} callee - Callee node
+ * @returns {string|null} Function name
+ */
+function getCalleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    if ((callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression')
+        && !callee.computed && callee.property.type === 'Identifier') {
+        return callee.property.name;
+    }
+    return null;
+}
+
+/**
+ * Whether an expression is an element or a jQuery object: `document`, element properties and
+ * variables named like elements, `$()` and DOM lookups, and method chains on any of these
+ * (`$(el).parent()`)
+ * @param {Object} node - Expression node
+ * @returns {boolean} True for known DOM or jQuery values
+ */
+function isDomReceiver(node) {
+    if (!node) return false;
+    if (node.type === 'Identifier') return node.name === 'document' || ELEMENT_NAME.test(node.name);
+    if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+        const name = getCalleeName(node);
+        return name !== null && (ELEMENT_PROPERTIES.has(name) || ELEMENT_NAME.test(name));
+    }
+    if (node.type === 'CallExpression' || node.type === 'OptionalCallExpression') {
+        const name = getCalleeName(node.callee);
+        if (['$', 'jQuery', 'querySelector', 'closest', 'getElementById'].includes(name)) return true;
+        const object = node.callee.object;
+        return Boolean(object) && isDomReceiver(object);
+    }
+    return false;
+}
+
+/**
+ * Identifier a template tag starts from: tw`...`, tw.button`...` and tw(Link)`...` -> tw
+ * @param {Object} tag - Tag node of a tagged template
+ * @returns {string|null} Identifier name
+ */
+function getTagRootName(tag) {
+    let node = tag;
+    while (node.type === 'MemberExpression' || node.type === 'CallExpression') {
+        node = node.type === 'CallExpression' ? node.callee : node.object;
+    }
+    return node.type === 'Identifier' ? node.name : null;
+}
+
+/**
+ * Name of an object property key when it is static
+ * @param {Object} property - ObjectProperty node
+ * @returns {string|null} Key name
+ */
+function getKeyName(property) {
+    if (property.computed) return null;
+    if (property.key.type === 'Identifier') return property.key.name;
+    if (property.key.type === 'StringLiteral') return property.key.value;
+    return null;
+}
+
+/**
+ * Static text at one end of a concatenated value, so `'flex ' + x` is known to end in a space
+ * @param {Object} node - Expression node
+ * @param {string} edge - 'start' or 'end'
+ * @returns {string} The text at that end; empty when it isn't static
+ */
+function getStaticEdge(node, edge) {
+    switch (node.type) {
+        case 'StringLiteral':
+            return edge === 'start' ? node.value.slice(0, 1) : node.value.slice(-1);
+        case 'TemplateLiteral': {
+            const text = node.quasis[edge === 'start' ? 0 : node.quasis.length - 1].value.cooked || '';
+            return edge === 'start' ? text.slice(0, 1) : text.slice(-1);
+        }
+        case 'BinaryExpression':
+            return node.operator === '+' ? getStaticEdge(edge === 'start' ? node.left : node.right, edge) : '';
+        case 'ParenthesizedExpression':
+            return getStaticEdge(node.expression, edge);
+        default:
+            return '';
+    }
+}
+
+/**
+ * Whether a lookup table has its own entry for a name, so `toString` or `constructor` never match
+ * @param {Object} table - Lookup table
+ * @param {string|null} name - Name to look up
+ * @returns {boolean} True when the table has the name
+ */
+function hasOwn(table, name) {
+    return name !== null && Object.prototype.hasOwnProperty.call(table, name);
+}
+
+/**
+ * Write a value as the content of a string literal
+ * @param {string} value - String value
+ * @param {string} quote - Quote of the literal
+ * @returns {string} Source text between the quotes
+ */
+function escapeStringContent(value, quote) {
+    const json = JSON.stringify(value).slice(1, -1);
+    return quote === '"' ? json : json.replace(/\\"/g, '"').split(quote).join(`\\${quote}`);
+}
+
+/**
+ * Build the AST visitors that collect class-name edits for a piece of source
+ * @param {string} code - Source code the AST was parsed from
+ * @param {Object} bot - TailwindPrefixBot instance providing `prefixClassList`, `processHtmlClasses`
+ *   and `processAngularTemplate`
+ * @param {Object} [options] - Transform options
+ * @param {string[]} [options.classHelpers] - Class helper function names
+ * @param {Object} [options.classSinks] - More functions and methods taking class names:
+ *   `{ classes: [...], selectors: [...] }`, on top of the DOM and jQuery ones
+ * @param {string} [options.keyQuote="'"] - Quote used when an identifier object key must become a string
+ * @param {number} [options.offset=0] - Position of `code` in the file, for change locations
+ * @param {string} [options.rule='js-class'] - Rule name recorded with each change in class expressions
+ * @returns {{visit: Function, visitClass: Function, edits: Object[]}} Visitors and the collected edits
+ */
+function createClassVisitor(code, bot, options = {}) {
+    const classHelpers = new Set(options.classHelpers || DEFAULT_CLASS_HELPERS);
+    const classSinks = options.classSinks || {};
+    const classMethods = new Set([...Object.keys(CLASS_METHODS), ...(classSinks.classes || [])]);
+    const selectorMethods = new Set([...SELECTOR_METHODS, ...(classSinks.selectors || [])]);
+    const keyQuote = options.keyQuote || "'";
+    const offset = options.offset || 0;
+    const rule = options.rule || 'js-class';
+    const edits = [];
+
+    const editClassString = (start, end, listOptions = {}) => {
+        const original = code.slice(start, end);
+        const updated = bot.prefixClassList(original, { rule, ...listOptions, offset: offset + start });
+        if (updated !== original) edits.push({ start, end, text: updated });
+    };
+
+    // Strings outside class contexts may still carry HTML markup
+    const editHtmlString = (start, end) => {
+        const original = code.slice(start, end);
+        if (!/\bclass\s*=/.test(original)) return;
+        const updated = bot.processHtmlClasses(original, { offset: offset + start, rule: 'js-html-string' });
+        if (updated !== original) edits.push({ start, end, text: updated });
+    };
+
+    // Selector strings: only the class parts change, `#id`, attributes and pseudo-classes stay
+    const editSelectorString = (node) => {
+        // jQuery('<div class="...">') creates elements from markup
+        if (node.value.trimStart().startsWith('<')) {
+            editHtmlString(node.start + 1, node.end - 1);
+            return;
+        }
+        // Escapes make source and value positions differ; work on the value then
+        const hasEscapes = code.slice(node.start + 1, node.end - 1).includes('\\');
+        const updated = prefixSelector(node.value, bot, hasEscapes ? null : offset + node.start + 1, 'js-selector');
+        if (updated === node.value) return;
+        // The v4 prefix comes back escaped (`.tw\:flex`), which needs escaping again in the string
+        const text = hasEscapes || updated.includes('\\') ? escapeStringContent(updated, code[node.start]) : updated;
+        edits.push({ start: node.start + 1, end: node.end - 1, text });
+    };
+
+    const visitSelector = (node) => {
+        if (!node) return;
+        if (node.type === 'StringLiteral') {
+            editSelectorString(node);
+        } else if (node.type === 'ConditionalExpression') {
+            visit(node.test);
+            visitSelector(node.consequent);
+            visitSelector(node.alternate);
+        } else {
+            visit(node);
+        }
+    };
+
+    // el.classList.add('hidden'), $(el).addClass('flex'), el.setAttribute('class', '...'),
+    // document.querySelector('.hidden'); returns false when the call is not a class sink
+    const visitSinkCall = (node) => {
+        const name = getCalleeName(node.callee);
+        const args = node.arguments;
+        let classArgs = null;
+
+        if (hasOwn(CLASS_LIST_METHODS, name) && node.callee.object
+            && getCalleeName(node.callee.object) === 'classList') {
+            classArgs = CLASS_LIST_METHODS[name];
+        } else if (hasOwn(CLASS_METHODS, name)) {
+            classArgs = CLASS_METHODS[name];
+        } else if (classMethods.has(name)) {
+            classArgs = null;
+        } else if (name === 'setAttribute' && args[0] && args[0].type === 'StringLiteral' && args[0].value === 'class') {
+            classArgs = [1];
+        } else if (selectorMethods.has(name)
+            || (ELEMENT_SELECTOR_METHODS.includes(name) && node.callee.object && isDomReceiver(node.callee.object))) {
+            visit(node.callee);
+            args.forEach((arg, index) => (index === 0 ? visitSelector(arg) : visit(arg)));
+            return true;
+        } else {
+            return false;
+        }
+
+        visit(node.callee);
+        args.forEach((arg, index) => {
+            if (classArgs === null || classArgs.includes(index)) visitClass(arg.type === 'SpreadElement' ? arg.argument : arg);
+            else visit(arg);
+        });
+        return true;
+    };
+
+    // styled.div.attrs({ className: '...' }) and .attrs(props => ({ className: ... }))
+    const visitAttrsCall = (node) => {
+        visit(node.callee);
+        for (const arg of node.arguments) {
+            const props = (arg.type === 'ArrowFunctionExpression' && arg.body.type === 'ObjectExpression') ? arg.body : arg;
+            if (props.type !== 'ObjectExpression') {
+                visit(arg);
+                continue;
+            }
+            if (props !== arg) arg.params.forEach(visit);
+            for (const property of props.properties) {
+                if (property.type === 'ObjectProperty' && CLASS_ATTRIBUTES.includes(getKeyName(property))) visitClass(property.value);
+                else visit(property);
+            }
+        }
+    };
+
+    // Inline Angular templates go through the template processor, bindings included
+    const editAngularTemplate = (start, end) => {
+        const original = code.slice(start, end);
+        const updated = bot.processAngularTemplate(original, { offset: offset + start });
+        if (updated !== original) edits.push({ start, end, text: updated });
+    };
+
+    // @Component({ template: `...`, host: { class: '...', '[class.active]': 'isActive' } })
+    const visitComponentMetadata = (node) => {
+        for (const property of node.properties) {
+            if (property.type !== 'ObjectProperty') {
+                visit(property);
+                continue;
+            }
+            const keyName = getKeyName(property);
+            const { value } = property;
+            if (keyName === 'template' && value.type === 'StringLiteral') {
+                editAngularTemplate(value.start + 1, value.end - 1);
+            } else if (keyName === 'template' && value.type === 'TemplateLiteral') {
+                value.quasis.forEach(quasi => editAngularTemplate(quasi.start, quasi.end));
+                value.expressions.forEach(visit);
+            } else if (keyName === 'host' && value.type === 'ObjectExpression') {
+                visitHostBindings(value);
+            } else {
+                visit(value);
+            }
+        }
+    };
+
+    const visitHostBindings = (node) => {
+        for (const property of node.properties) {
+            if (property.type !== 'ObjectProperty') {
+                visit(property);
+                continue;
+            }
+            const keyName = getKeyName(property);
+            const toggle = keyName && property.key.type === 'StringLiteral' ? ANGULAR_CLASS_TOGGLE.exec(keyName) : null;
+            const { value } = property;
+            if (keyName === 'class' && value.type === 'StringLiteral') {
+                editClassString(value.start + 1, value.end - 1, { rule: 'angular-host-class' });
+            } else if (keyName === 'class') {
+                visitClass(value);
+            } else if (toggle) {
+                const classStart = property.key.start + 1 + '[class.'.length;
+                const updated = bot.prefixClassList(toggle[1], { offset: offset + classStart, rule: 'angular-class-toggle' });
+                if (updated !== toggle[1]) edits.push({ start: classStart, end: classStart + toggle[1].length, text: updated });
+                visit(value);
+            } else if (ANGULAR_CLASS_BINDINGS.includes(keyName) && value.type === 'StringLiteral') {
+                // The value is a template expression written as a string
+                const start = value.start + 1;
+                const expression = code.slice(start, value.end - 1);
+                try {
+                    const updated = transformClassExpression(expression, bot, {
+                        fileExt: '.ts',
+                        keyQuote: code[value.start] === "'" ? '"' : "'",
+                        offset: offset + start,
+                        rule: 'angular-class-binding'
+                    });
+                    if (updated !== expression) edits.push({ start, end: value.end - 1, text: updated });
+                } catch (error) {
+                    bot.warn(`Skipping unparsable host class binding "${expression.trim()}": ${error.message}`);
+                }
+            } else {
+                visit(value);
+            }
+        }
+    };
+
+    const visitObjectKeys = (node) => {
+        for (const property of node.properties) {
+            if (property.type === 'SpreadElement') {
+                visitClass(property.argument);
+            } else if (property.type !== 'ObjectProperty') {
+                visit(property);
+            } else {
+                const { key } = property;
+                if (property.computed) {
+                    visitClass(key);
+                } else if (key.type === 'StringLiteral') {
+                    editClassString(key.start + 1, key.end - 1, { rule: 'js-class-key' });
+                } else if (key.type === 'Identifier' && !property.shorthand) {
+                    const updated = bot.prefixClassList(key.name, { offset: offset + key.start, rule: 'js-class-key' });
+                    if (updated !== key.name) edits.push({ start: key.start, end: key.end, text: keyQuote + updated + keyQuote });
+                }
+                visit(property.value);
+            }
+        }
+    };
+
+    // cva('base', { variants: { size: { sm: '...' } }, compoundVariants: [{ class: '...' }] })
+    const visitVariantConfig = (node) => {
+        if (node.type !== 'ObjectExpression') {
+            visit(node);
+            return;
+        }
+        for (const property of node.properties) {
+            if (property.type !== 'ObjectProperty') {
+                visit(property);
+                continue;
+            }
+            const keyName = getKeyName(property);
+            const { value } = property;
+            if (keyName === 'base') {
+                visitClass(value);
+            } else if ((keyName === 'variants' || keyName === 'slots') && value.type === 'ObjectExpression') {
+                for (const variant of value.properties) {
+                    if (variant.type !== 'ObjectProperty') continue;
+                    if (keyName === 'slots' || variant.value.type !== 'ObjectExpression') {
+                        visitClass(variant.value);
+                        continue;
+                    }
+                    for (const option of variant.value.properties) {
+                        if (option.type === 'ObjectProperty') visitVariantValue(option.value);
+                    }
+                }
+            } else if ((keyName === 'compoundVariants' || keyName === 'compoundSlots') && value.type === 'ArrayExpression') {
+                for (const compound of value.elements) {
+                    if (!compound || compound.type !== 'ObjectExpression') continue;
+                    for (const option of compound.properties) {
+                        const optionKey = option.type === 'ObjectProperty' ? getKeyName(option) : null;
+                        if (optionKey === 'class' || optionKey === 'className') visitClass(option.value);
+                    }
+                }
+            } else {
+                visit(value);
+            }
+        }
+    };
+
+    // tv() variant values may be slot maps: { base: '...', icon: '...' }
+    const visitVariantValue = (node) => {
+        if (node.type === 'ObjectExpression') {
+            for (const slot of node.properties) {
+                if (slot.type === 'ObjectProperty') visitClass(slot.value);
+            }
+        } else {
+            visitClass(node);
+        }
+    };
+
+    const visitHelperCall = (node) => {
+        const name = getCalleeName(node.callee);
+        node.arguments.forEach((arg, index) => {
+            if (VARIANT_CONFIG_HELPERS[name] === index) visitVariantConfig(arg);
+            else visitClass(arg);
+        });
+    };
+
+    // Expression whose string values end up in a class list. `glue` marks ends joined to
+    // other values without a space (`'bg-' + color`), where the class is only partly static.
+    const visitClass = (node, glue = {}) => {
+        if (!node) return;
+
+        switch (node.type) {
+            case 'StringLiteral':
+                editClassString(node.start + 1, node.end - 1, glue);
+                break;
+            case 'TemplateLiteral':
+                node.quasis.forEach((quasi, index) => {
+                    // Tokens glued to an expression (`bg-${color}-500`) are only partly static, leave them
+                    editClassString(quasi.start, quasi.end, {
+                        skipFirst: index > 0 || Boolean(glue.skipFirst),
+                        skipLast: index < node.quasis.length - 1 || Boolean(glue.skipLast)
+                    });
+                });
+                node.expressions.forEach(expression => visitClass(expression));
+                break;
+            case 'BinaryExpression':
+                // 'flex ' + (open ? 'block' : 'hidden'), 'text-' + size
+                if (node.operator !== '+') {
+                    visit(node);
+                    break;
+                }
+                visitClass(node.left, { skipFirst: glue.skipFirst, skipLast: !/^\s/.test(getStaticEdge(node.right, 'start')) });
+                visitClass(node.right, { skipFirst: !/\s$/.test(getStaticEdge(node.left, 'end')), skipLast: glue.skipLast });
+                break;
+            case 'ConditionalExpression':
+                visit(node.test);
+                visitClass(node.consequent, glue);
+                visitClass(node.alternate, glue);
+                break;
+            case 'LogicalExpression':
+                if (node.operator === '&&') visit(node.left);
+                else visitClass(node.left, glue);
+                visitClass(node.right, glue);
+                break;
+            case 'ArrayExpression':
+                node.elements.forEach(element => {
+                    if (element && element.type === 'SpreadElement') visitClass(element.argument);
+                    else visitClass(element);
+                });
+                break;
+            case 'ObjectExpression':
+                visitObjectKeys(node);
+                break;
+            case 'ParenthesizedExpression':
+            case 'TSAsExpression':
+            case 'TSSatisfiesExpression':
+            case 'TSNonNullExpression':
+            case 'TypeCastExpression':
+                visitClass(node.expression, glue);
+                break;
+            case 'CallExpression':
+                if (classHelpers.has(getCalleeName(node.callee))) visitHelperCall(node);
+                else visit(node);
+                break;
+            default:
+                visit(node);
+        }
+    };
+
+    // Generic walk looking for class contexts
+    const visit = (node) => {
+        if (!node || typeof node.type !== 'string') return;
+
+        switch (node.type) {
+            case 'JSXAttribute': {
+                const name = node.name.type === 'JSXIdentifier' ? node.name.name : null;
+                if (CLASS_ATTRIBUTES.includes(name) && node.value) {
+                    if (node.value.type === 'StringLiteral') {
+                        editClassString(node.value.start + 1, node.value.end - 1, { rule: 'jsx-class' });
+                    } else if (node.value.type === 'JSXExpressionContainer') {
+                        visitClass(node.value.expression);
+                    }
+                    return;
+                }
+                break;
+            }
+            case 'CallExpression':
+            case 'OptionalCallExpression':
+                if (classHelpers.has(getCalleeName(node.callee))) {
+                    visit(node.callee);
+                    visitHelperCall(node);
+                    return;
+                }
+                if (getCalleeName(node.callee) === 'Component' && node.arguments[0] && node.arguments[0].type === 'ObjectExpression') {
+                    visitComponentMetadata(node.arguments[0]);
+                    return;
+                }
+                if (visitSinkCall(node)) return;
+                if (getCalleeName(node.callee) === 'attrs' && node.callee.type !== 'Identifier') {
+                    visitAttrsCall(node);
+                    return;
+                }
+                break;
+            case 'TaggedTemplateExpression':
+                // twin.macro: tw`flex p-4`, tw.button`...`, tw(Link)`...`
+                if (CLASS_TEMPLATE_TAGS.includes(getTagRootName(node.tag))) {
+                    visit(node.tag);
+                    visitClass(node.quasi);
+                    return;
+                }
+                break;
+            case 'AssignmentExpression':
+                // el.className = 'flex gap-2', el.className += ' hidden'
+                if ((node.operator === '=' || node.operator === '+=') && node.left.type === 'MemberExpression'
+                    && CLASS_PROPERTIES.includes(getCalleeName(node.left))) {
+                    visit(node.left);
+                    visitClass(node.right);
+                    return;
+                }
+                break;
+            case 'StringLiteral':
+                editHtmlString(node.start + 1, node.end - 1);
+                return;
+            case 'TemplateLiteral':
+                node.quasis.forEach(quasi => editHtmlString(quasi.start, quasi.end));
+                node.expressions.forEach(visit);
+                return;
+        }
+
+        for (const key of Object.keys(node)) {
+            if (SKIPPED_KEYS.has(key)) continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(visit);
+            } else if (child && typeof child.type === 'string') {
+                visit(child);
+            }
+        }
+    };
+
+    return { visit, visitClass, edits };
+}
+
+/**
+ * Apply collected edits, back to front so earlier offsets stay valid
+ * @param {string} code - Original source
+ * @param {Object[]} edits - `{ start, end, text }` replacements
+ * @returns {string} Edited source
+ */
+function applyEdits(code, edits) {
+    let result = code;
+    for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+/**
+ * Rewrite class names in JS/TS/JSX/TSX source by walking its AST. Only string literals in
+ * class contexts are touched, and each is edited in place so formatting is preserved.
+ * @param {string} code - Source code
+ * @param {Object} bot - TailwindPrefixBot instance providing `prefixClassList` and `processHtmlClasses`
+ * @param {Object} [options] - Transform options
+ * @param {string} [options.fileExt='.tsx'] - Extension deciding the syntax plugins
+ * @param {string[]} [options.classHelpers] - Class helper function names
+ * @param {Object} [options.classSinks] - More functions and methods taking class names or selectors
+ * @param {number} [options.offset=0] - Position of `code` in the file, for change locations
+ * @returns {string} Transformed source
+ * @throws {SyntaxError} If the source can't be parsed
+ */
+function transformJs(code, bot, options = {}) {
+    const ast = parseSource(code, options.fileExt);
+    const visitor = createClassVisitor(code, bot, options);
+    visitor.visit(ast.program);
+    return applyEdits(code, visitor.edits);
+}
+
+/**
+ * Rewrite a single expression that evaluates to classes, such as a Vue `:class` binding
+ * or a Svelte `class={...}` value
+ * @param {string} code - Expression source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {Object} [options] - Same options as `transformJs`, plus `keyQuote`
+ * @returns {string} Transformed expression
+ * @throws {SyntaxError} If the expression can't be parsed
+ */
+function transformClassExpression(code, bot, options = {}) {
+    const expression = parseExpression(code, { plugins: getParserPlugins(options.fileExt) });
+    const visitor = createClassVisitor(code, bot, options);
+    visitor.visitClass(expression);
+    return applyEdits(code, visitor.edits);
+}
+
+module.exports = {
+    DEFAULT_CLASS_HELPERS,
+    CLASS_LIST_METHODS,
+    CLASS_METHODS,
+    SELECTOR_METHODS,
+    ELEMENT_SELECTOR_METHODS,
+    CLASS_TEMPLATE_TAGS,
+    CLASS_ATTRIBUTES,
+    ANGULAR_CLASS_BINDINGS,
+    ANGULAR_CLASS_TOGGLE,
+    parseSource,
+    applyEdits,
+    transformJs,
+    transformClassExpression
+};
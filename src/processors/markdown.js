@@ -0,0 +1,77 @@
+const { forEachAttribute } = require('./markup');
+const { transformClassExpression } = require('./javascript');
+
+// Fenced code blocks: ``` or ~~~, closed by a fence at least as long, or the end of the file
+const CODE_FENCE = /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[`~]*[^\S\n]*(?=\n|$)|$)/gm;
+
+// Inline code spans: a run of backticks closed by a run of the same length
+const CODE_SPAN = /(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g;
+
+// YAML frontmatter at the top of the file
+const FRONTMATTER = /^---[^\S\n]*\n[\s\S]*?\n---[^\S\n]*(?=\n|$)/;
+
+/**
+ * Blank out code so its markup isn't read as HTML, keeping every other character in place
+ * @param {string} content - Markdown source
+ * @returns {string} Source with frontmatter, code blocks and code spans replaced by spaces
+ */
+function maskCode(content) {
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    return content
+        .replace(FRONTMATTER, blank)
+        .replace(CODE_FENCE, blank)
+        .replace(CODE_SPAN, blank);
+}
+
+/**
+ * Process Markdown with embedded HTML, or MDX with embedded JSX. Only `class` and `className`
+ * attributes of real tags change; frontmatter, fenced code blocks and inline code are left
+ * as written, so documented examples keep their unprefixed classes.
+ * @param {string} content - Markdown or MDX source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {Object} [options] - Processor options
+ * @param {boolean} [options.jsx=false] - MDX: attribute values may be `{...}` expressions
+ * @param {string[]} [options.classHelpers] - Class helper function names, for expressions
+ * @param {Object} [options.classSinks] - More functions and methods taking class names or selectors
+ * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+ * @returns {string} Processed source
+ */
+function processMarkdown(content, bot, { jsx = false, classHelpers, classSinks, offset = 0 } = {}) {
+    const rule = jsx ? 'mdx-class' : 'markdown-class';
+    const edits = [];
+
+    const pushEdit = (start, end, text) => {
+        if (text !== content.slice(start, end)) edits.push({ start, end, text });
+    };
+
+    forEachAttribute(maskCode(content), ({ name, value, start, end, quote }) => {
+        if (value === null || (name !== 'class' && name !== 'className')) return;
+
+        if (quote !== '{') {
+            pushEdit(start, end, bot.prefixClassList(content.slice(start, end), { offset: offset + start, rule }));
+            return;
+        }
+        const expression = content.slice(start, end);
+        try {
+            pushEdit(start, end, transformClassExpression(expression, bot, {
+                fileExt: '.jsx',
+                classHelpers,
+                classSinks,
+                offset: offset + start,
+                rule: 'mdx-class-binding'
+            }));
+        } catch (error) {
+            bot.warn(`Skipping unparsable class expression "${expression.trim()}": ${error.message}`);
+        }
+    }, { braceExpressions: jsx, skipContentOf: ['pre'] });
+
+    let result = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    processMarkdown
+};
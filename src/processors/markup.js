@@ -0,0 +1,175 @@
+/**
+ * Elements whose content is raw text and never holds tags
+ */
+const RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+/**
+ * Find the `}` closing the `{` at `openIndex`, skipping nested braces and JS strings
+ * @param {string} text - Source text
+ * @param {number} openIndex - Index of the opening brace
+ * @returns {number} Index of the closing brace, or -1 if unbalanced
+ */
+function findClosingBrace(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"' || char === "'" || char === '`') {
+            i = findStringEnd(text, i);
+            if (i === -1) return -1;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Find the quote closing the JS string that starts at `quoteIndex`
+ * @param {string} text - Source text
+ * @param {number} quoteIndex - Index of the opening quote
+ * @returns {number} Index of the closing quote, or -1 if unterminated
+ */
+function findStringEnd(text, quoteIndex) {
+    const quote = text[quoteIndex];
+    for (let i = quoteIndex + 1; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (quote === '`' && text[i] === '$' && text[i + 1] === '{') {
+            i = findClosingBrace(text, i + 1);
+            if (i === -1) return -1;
+        } else if (text[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Walk the start tags of an HTML-like document and report every attribute with the
+ * offsets of its value. Comments and the content of raw-text elements are skipped.
+ * @param {string} markup - Document source
+ * @param {Function} onAttribute - Called with `{ tagName, name, nameStart, value, start, end, quote }`;
+ *   `start`/`end` delimit the value without its quotes or braces, `quote` is `"`, `'`, `{` or ''.
+ *   Attributes without a value are reported with `value`, `start` and `end` set to null.
+ * @param {Object} [options] - Scanner options
+ * @param {boolean} [options.braceExpressions=false] - Values may be `{...}` expressions and
+ *   quoted values may embed them (Svelte, Astro)
+ * @param {string[]} [options.skipContentOf=[]] - Elements whose content is skipped like raw text;
+ *   their own attributes are still reported
+ */
+function forEachAttribute(markup, onAttribute, options = {}) {
+    const braceExpressions = options.braceExpressions || false;
+    const skippedElements = [...RAW_TEXT_ELEMENTS, ...(options.skipContentOf || [])];
+    const length = markup.length;
+    let i = 0;
+
+    const skipWhitespace = () => {
+        while (i < length && /\s/.test(markup[i])) i++;
+    };
+
+    while (i < length) {
+        if (markup.startsWith('<!--', i)) {
+            const commentEnd = markup.indexOf('-->', i + 4);
+            i = commentEnd === -1 ? length : commentEnd + 3;
+            continue;
+        }
+
+        if (markup[i] !== '<' || !/[a-zA-Z]/.test(markup[i + 1] || '')) {
+            i++;
+            continue;
+        }
+
+        // Tag name
+        const nameMatch = /^[^\s/>]+/.exec(markup.slice(i + 1, i + 256));
+        const tagName = nameMatch[0];
+        i += 1 + tagName.length;
+
+        // Attributes up to the end of the start tag
+        while (i < length) {
+            skipWhitespace();
+            if (markup[i] === '>' || i >= length) {
+                i++;
+                break;
+            }
+            if (markup[i] === '/') {
+                i++;
+                continue;
+            }
+            if (braceExpressions && markup[i] === '{') {
+                // Spread or shorthand attribute: {...props} / {value}
+                const close = findClosingBrace(markup, i);
+                i = close === -1 ? length : close + 1;
+                continue;
+            }
+
+            const nameStart = i;
+            while (i < length && !/[\s=>]/.test(markup[i]) && !(markup[i] === '/' && markup[i + 1] === '>')) i++;
+            const name = markup.slice(nameStart, i);
+            if (name === '') {
+                i++;
+                continue;
+            }
+
+            const afterName = i;
+            skipWhitespace();
+            if (markup[i] !== '=') {
+                i = afterName;
+                onAttribute({ tagName, name, nameStart, value: null, start: null, end: null, quote: '' });
+                continue;
+            }
+            i++;
+            skipWhitespace();
+
+            const quote = markup[i];
+            let start;
+            let end;
+            if (quote === '"' || quote === "'") {
+                start = i + 1;
+                end = start;
+                while (end < length && markup[end] !== quote) {
+                    if (braceExpressions && markup[end] === '{') {
+                        const close = findClosingBrace(markup, end);
+                        end = close === -1 ? length : close;
+                    }
+                    end++;
+                }
+                i = end + 1;
+            } else if (braceExpressions && quote === '{') {
+                const close = findClosingBrace(markup, i);
+                start = i + 1;
+                end = close === -1 ? length : close;
+                i = end + 1;
+            } else {
+                start = i;
+                while (i < length && !/[\s>]/.test(markup[i])) i++;
+                end = i;
+            }
+
+            onAttribute({
+                tagName,
+                name,
+                nameStart,
+                value: markup.slice(start, end),
+                start,
+                end,
+                quote: quote === '"' || quote === "'" || (braceExpressions && quote === '{') ? quote : ''
+            });
+        }
+
+        // Jump over raw text so `<` inside scripts and styles isn't read as a tag
+        if (skippedElements.includes(tagName.toLowerCase())) {
+            const closeTag = new RegExp(`</${tagName}\\s*>`, 'i');
+            const match = closeTag.exec(markup.slice(i));
+            i = match ? i + match.index + match[0].length : length;
+        }
+    }
+}
+
+module.exports = {
+    RAW_TEXT_ELEMENTS,
+    findClosingBrace,
+    forEachAttribute
+};
@@ -0,0 +1,299 @@
+const { forEachAttribute } = require('./markup');
+const { SKIPPED_ELEMENTS, isBindingAttribute } = require('./html');
+
+// PHP tags print only with echo or print; everything else is control flow
+const PHP_OUTPUT = /^\s*(?:echo|print)\b/;
+
+/**
+ * Tag delimiters of each server-side template language, longest opening first where one
+ * opening starts another (`{{--` before `{{`). `output` tells whether a tag prints its value,
+ * as a boolean or a test on the tag's code; text glued to an output tag is part of a dynamic
+ * class, while text next to control tags such as `{% if %}` is a class of its own. Comment
+ * tags are never touched.
+ */
+const TEMPLATE_SYNTAX = {
+    php: {
+        tags: [
+            { open: '<?php', close: '?>', output: PHP_OUTPUT },
+            { open: '<?=', close: '?>', output: true },
+            { open: '<?', close: '?>', output: PHP_OUTPUT }
+        ]
+    },
+    blade: {
+        tags: [
+            { open: '{{--', close: '--}}', comment: true },
+            { open: '{!!', close: '!!}', output: true },
+            { open: '{{', close: '}}', output: true },
+            { open: '<?php', close: '?>', output: PHP_OUTPUT },
+            { open: '<?=', close: '?>', output: true }
+        ],
+        classDirective: true,
+        classBinding: true
+    },
+    twig: {
+        tags: [
+            { open: '{#', close: '#}', comment: true },
+            { open: '{{', close: '}}', output: true },
+            { open: '{%', close: '%}', output: false }
+        ]
+    },
+    jinja: {
+        tags: [
+            { open: '{#', close: '#}', comment: true },
+            { open: '{{', close: '}}', output: true },
+            { open: '{%', close: '%}', output: false }
+        ]
+    },
+    liquid: {
+        tags: [{ open: '{{', close: '}}', output: true }, { open: '{%', close: '%}', output: false }]
+    },
+    erb: {
+        tags: [{ open: '<%#', close: '%>', comment: true }, { open: '<%', close: '%>', output: /^=/ }]
+    },
+    handlebars: {
+        tags: [
+            { open: '{{!--', close: '--}}', comment: true },
+            { open: '{{!', close: '}}', comment: true },
+            { open: '{{{', close: '}}}', output: true },
+            // Block helpers ({{#if}}, {{/if}}, {{^}}, {{else}}) print nothing themselves
+            { open: '{{', close: '}}', output: /^~?\s*(?![#/^]|else\b)/ }
+        ]
+    }
+};
+
+/**
+ * File name ending of Laravel Blade templates, used as their file type
+ */
+const BLADE_TEMPLATE_EXT = '.blade.php';
+
+/**
+ * Template language of each file type
+ */
+const TEMPLATE_EXTENSIONS = {
+    '.php': 'php',
+    '.phtml': 'php',
+    [BLADE_TEMPLATE_EXT]: 'blade',
+    '.twig': 'twig',
+    '.jinja': 'jinja',
+    '.jinja2': 'jinja',
+    '.j2': 'jinja',
+    '.njk': 'jinja',
+    '.liquid': 'liquid',
+    '.erb': 'erb',
+    '.hbs': 'handlebars',
+    '.handlebars': 'handlebars'
+};
+
+// Quoted string in template code
+const STRING_LITERAL = /(["'])((?:\\.|(?!\1)[^\\])*)\1/g;
+
+// Code before and after a string that is compared rather than used: `== 'block'`, `'p-4' in list`
+const COMPARED_BEFORE = /(?:[=!]==?|<>|\b(?:is|in|not|eq|ne|matches|starts with|ends with))\s*$/;
+const COMPARED_AFTER = /^\s*(?:[=!]==?|<>|\b(?:is|in|eq|ne)\b)/;
+
+// Array or hash lookups: `$item['type']`, `user["role"]`
+const LOOKUP_BEFORE = /[\w\])]\s*\[\s*$/;
+
+// String passed as a `class` argument or key: `'class' => '...'`, `class: '...'`, `class='...'`
+const CLASS_KEY_BEFORE = /(?:^|[^\w-])["']?class["']?\s*(?:=>|:|=)\s*$/;
+
+/**
+ * Find the end of a template tag, skipping quoted strings so delimiters inside them don't count
+ * @param {string} content - Template source
+ * @param {number} from - Position after the opening delimiter
+ * @param {string} close - Closing delimiter
+ * @param {boolean} comment - Whether the tag is a comment, where quotes mean nothing
+ * @returns {number} Position of the closing delimiter, or -1 when the tag isn't closed
+ */
+function findTagEnd(content, from, close, comment) {
+    if (comment) return content.indexOf(close, from);
+
+    let quote = null;
+    for (let i = from; i < content.length; i++) {
+        const char = content[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (content.startsWith(close, i)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Find the template tags of a document
+ * @param {string} content - Template source
+ * @param {Object[]} tagSyntax - Delimiters of the language
+ * @returns {Object[]} `{ start, end, codeStart, codeEnd, comment, output }` per tag, in order; an
+ *   unclosed tag runs to the end of the document
+ */
+function findTemplateTags(content, tagSyntax) {
+    const openers = new Set(tagSyntax.map(tag => tag.open[0]));
+    const tags = [];
+    let i = 0;
+
+    while (i < content.length) {
+        const syntax = openers.has(content[i]) ? tagSyntax.find(tag => content.startsWith(tag.open, i)) : null;
+        if (!syntax) {
+            i++;
+            continue;
+        }
+        const codeStart = i + syntax.open.length;
+        const closeIndex = findTagEnd(content, codeStart, syntax.close, Boolean(syntax.comment));
+        const codeEnd = closeIndex === -1 ? content.length : closeIndex;
+        const end = closeIndex === -1 ? content.length : closeIndex + syntax.close.length;
+        const output = syntax.output instanceof RegExp
+            ? syntax.output.test(content.slice(codeStart, codeEnd))
+            : Boolean(syntax.output);
+        tags.push({ start: i, end, codeStart, codeEnd, comment: Boolean(syntax.comment), output });
+        i = end;
+    }
+    return tags;
+}
+
+/**
+ * Process a server-rendered template: static text and the string literals of template tags in
+ * `class` attributes, strings passed as a `class` argument, HTML in template strings, and for
+ * Blade the `@class([...])` directive and `:class` component bindings. As in HTML files, only
+ * attributes of real start tags count, so `class=` in text, comments and `<script>` is left
+ * alone. Template syntax itself is never changed.
+ * @param {string} content - Template source
+ * @param {Object} bot - TailwindPrefixBot instance providing `prefixClassList` and `processHtmlClasses`
+ * @param {Object} options - Processor options
+ * @param {string} options.language - Key of TEMPLATE_SYNTAX
+ * @param {string[]} [options.classAttributes=[]] - More attributes holding classes; binding
+ *   attributes (`x-bind:class`) have their strings prefixed like Blade's `:class`
+ * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+ * @returns {string} Processed template
+ */
+function processServerTemplate(content, bot, { language, classAttributes = [], offset = 0 }) {
+    const syntax = TEMPLATE_SYNTAX[language];
+    const extraAttributes = new Set(classAttributes.map(name => name.toLowerCase()));
+    const tags = findTemplateTags(content, syntax.tags);
+    const edits = [];
+
+    const pushEdit = (start, end, text) => {
+        if (text !== content.slice(start, end)) edits.push({ start, end, text });
+    };
+
+    const tagAt = (position) => tags.find(tag => position >= tag.start && position < tag.end) || null;
+
+    // Strings in template code that end up in a class list
+    const editCodeStrings = (start, end, rule) => {
+        const code = content.slice(start, end);
+        STRING_LITERAL.lastIndex = 0;
+        let match;
+        while ((match = STRING_LITERAL.exec(code)) !== null) {
+            const before = code.slice(0, match.index);
+            const after = code.slice(match.index + match[0].length);
+            if (COMPARED_BEFORE.test(before) || COMPARED_AFTER.test(after) || LOOKUP_BEFORE.test(before)) continue;
+            const valueStart = start + match.index + 1;
+            pushEdit(valueStart, valueStart + match[2].length, bot.prefixClassList(match[2], { offset: offset + valueStart, rule }));
+        }
+    };
+
+    // Strings elsewhere in template code: only `class` arguments and HTML markup
+    const editTagStrings = (tag) => {
+        const code = content.slice(tag.codeStart, tag.codeEnd);
+        STRING_LITERAL.lastIndex = 0;
+        let match;
+        while ((match = STRING_LITERAL.exec(code)) !== null) {
+            const valueStart = tag.codeStart + match.index + 1;
+            const valueEnd = valueStart + match[2].length;
+            if (CLASS_KEY_BEFORE.test(code.slice(0, match.index))) {
+                pushEdit(valueStart, valueEnd, bot.prefixClassList(match[2], { offset: offset + valueStart, rule: `${language}-class-argument` }));
+            } else if (/\bclass\s*=/.test(match[2])) {
+                pushEdit(valueStart, valueEnd, bot.processHtmlClasses(match[2], { offset: offset + valueStart, rule: `${language}-html-string` }));
+            }
+        }
+    };
+
+    const handledTags = new Set();
+
+    // Blade @class([...]) argument lists, which hold `=>` and quotes the tokenizer would misread
+    const directives = [];
+    if (syntax.classDirective) {
+        const directive = /@class\s*\(/g;
+        let match;
+        while ((match = directive.exec(content)) !== null) {
+            if (tagAt(match.index)) continue;
+            const argsStart = match.index + match[0].length;
+            const argsEnd = findTagEnd(content, argsStart, ')', false);
+            if (argsEnd === -1) continue;
+            directives.push({ start: match.index, end: argsEnd + 1, argsStart, argsEnd });
+            directive.lastIndex = argsEnd + 1;
+        }
+    }
+
+    // Template tags and directives are blanked out for the tokenizer, keeping every offset, so
+    // `<`, `>` and quotes inside them can't end a tag or a value
+    let markup = '';
+    let maskedTo = 0;
+    for (const span of [...tags, ...directives].sort((a, b) => a.start - b.start)) {
+        if (span.start < maskedTo) continue;
+        markup += content.slice(maskedTo, span.start) + 'x'.repeat(span.end - span.start);
+        maskedTo = span.end;
+    }
+    markup += content.slice(maskedTo);
+
+    forEachAttribute(markup, ({ name, value, start, end }) => {
+        const attribute = name.toLowerCase();
+        if (value === null) return;
+
+        // Blade component bindings (:class="$active ? 'p-4' : ''") are PHP, Alpine bindings
+        // (x-bind:class) are JavaScript; their strings are classes unless compared
+        const isBinding = (attribute === ':class' && syntax.classBinding)
+            || (attribute !== 'class' && extraAttributes.has(attribute) && isBindingAttribute(attribute));
+        if (isBinding) {
+            tags.filter(tag => tag.start >= start && tag.end <= end).forEach(tag => handledTags.add(tag));
+            editCodeStrings(start, end, `${language}-class-binding`);
+            return;
+        }
+        if (attribute !== 'class' && !extraAttributes.has(attribute)) return;
+
+        // class="static {{ expr }} static": prefix the text and the strings of the tags separately;
+        // strings of control tags are conditions (`{% if type == 'card' %}`), not classes
+        const valueTags = tags.filter(tag => tag.start >= start && tag.end <= end);
+        let cursor = start;
+        let previous = null;
+        for (const tag of [...valueTags, null]) {
+            const segmentEnd = tag ? tag.start : end;
+            pushEdit(cursor, segmentEnd, bot.prefixClassList(content.slice(cursor, segmentEnd), {
+                skipFirst: Boolean(previous && previous.output),
+                skipLast: Boolean(tag && tag.output),
+                offset: offset + cursor,
+                rule: `${language}-class`
+            }));
+            if (!tag) break;
+            handledTags.add(tag);
+            if (tag.output) editCodeStrings(tag.codeStart, tag.codeEnd, `${language}-class-expression`);
+            previous = tag;
+            cursor = tag.end;
+        }
+    }, { skipContentOf: SKIPPED_ELEMENTS });
+
+    // Blade @class(['p-4', 'font-bold' => $active])
+    for (const directive of directives) {
+        editCodeStrings(directive.argsStart, directive.argsEnd, 'blade-class-directive');
+    }
+
+    for (const tag of tags) {
+        if (!tag.comment && !handledTags.has(tag)) editTagStrings(tag);
+    }
+
+    let result = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    BLADE_TEMPLATE_EXT,
+    TEMPLATE_SYNTAX,
+    TEMPLATE_EXTENSIONS,
+    processServerTemplate
+};
@@ -0,0 +1,193 @@
+const { transformJs, transformClassExpression } = require('./javascript');
+const { forEachAttribute, findClosingBrace } = require('./markup');
+const { isBindingAttribute } = require('./html');
+
+// Top-level <script> and <style> blocks of a single-file component
+const BLOCK_PATTERN = /<(script|style)(\s[^>]*)?>([\s\S]*?)<\/\1\s*>/gi;
+
+// Astro component script between `---` fences at the top of the file
+const FRONTMATTER_PATTERN = /^(\s*---[^\S\n]*\r?\n)([\s\S]*?)\r?\n---[^\S\n]*(?:\r?\n|$)/;
+
+/**
+ * Read the `lang` attribute of a block's start tag
+ * @param {string} attributes - Raw attribute text of the start tag
+ * @returns {string|null} Language or null when absent
+ */
+function getBlockLang(attributes) {
+    const match = /\blang\s*=\s*["']?([\w-]+)/i.exec(attributes || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Map a `<script lang>` to the extension the JS transformer understands
+ * @param {string|null} lang - Block language
+ * @param {string} [framework] - 'astro' scripts are TypeScript unless they say otherwise
+ * @returns {string} File extension
+ */
+function getScriptExt(lang, framework) {
+    if (lang === 'ts' || (lang === null && framework === 'astro')) return '.ts';
+    if (lang === 'tsx') return '.tsx';
+    return '.jsx';
+}
+
+/**
+ * Map a `<style lang>` to the extension the stylesheet processor understands
+ * @param {string|null} lang - Block language
+ * @returns {string} File extension
+ */
+function getStyleExt(lang) {
+    if (lang === 'scss' || lang === 'sass' || lang === 'less') return `.${lang}`;
+    return '.css';
+}
+
+/**
+ * Process a single-file component: markup class attributes and bindings, `<script>` blocks
+ * through the JS transformer and `<style>` blocks through the stylesheet path. Astro
+ * components also get their frontmatter script transformed, and `class:list` directives.
+ * @param {string} content - Component source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {Object} options - Processor options
+ * @param {string} options.framework - 'vue', 'svelte' or 'astro'
+ * @param {string[]} [options.classHelpers] - Class helper function names
+ * @param {Object} [options.classSinks] - More functions and methods taking class names or selectors
+ * @param {string[]} [options.classAttributes=[]] - More attributes holding classes; binding
+ *   attributes (`x-bind:class`) are read as JavaScript expressions
+ * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+ * @returns {string} Processed source
+ */
+function processSfc(content, bot, { framework, classHelpers, classSinks, classAttributes = [], offset = 0 } = {}) {
+    const isSvelte = framework === 'svelte';
+    const isAstro = framework === 'astro';
+    const extraAttributes = new Set(classAttributes.map(name => name.toLowerCase()));
+    const edits = [];
+
+    const pushEdit = (start, end, text) => {
+        if (text !== content.slice(start, end)) edits.push({ start, end, text });
+    };
+
+    // Expression evaluating to classes: arrays, objects, ternaries, helper calls
+    const transformExpression = (start, end, keyQuote) => {
+        const expression = content.slice(start, end);
+        try {
+            pushEdit(start, end, transformClassExpression(expression, bot, {
+                classHelpers,
+                keyQuote,
+                offset: offset + start,
+                rule: `${framework}-class-binding`
+            }));
+        } catch (error) {
+            bot.warn(`Skipping unparsable class binding "${expression.trim()}": ${error.message}`);
+        }
+    };
+
+    // Svelte class="static {expr} static": prefix the text and the expressions separately
+    const transformInterpolatedClass = (start, end, keyQuote) => {
+        let cursor = start;
+        while (cursor < end) {
+            const open = content.indexOf('{', cursor);
+            const segmentEnd = open === -1 || open >= end ? end : open;
+            pushEdit(cursor, segmentEnd, bot.prefixClassList(content.slice(cursor, segmentEnd), {
+                skipFirst: cursor > start,
+                skipLast: segmentEnd < end,
+                offset: offset + cursor,
+                rule: 'svelte-class'
+            }));
+            if (segmentEnd === end) break;
+
+            const close = findClosingBrace(content, open);
+            if (close === -1 || close > end) break;
+            transformExpression(open + 1, close, keyQuote);
+            cursor = close + 1;
+        }
+    };
+
+    // Astro frontmatter is a TypeScript module; the markup starts after it
+    let markupStart = 0;
+    const frontmatter = isAstro ? FRONTMATTER_PATTERN.exec(content) : null;
+    if (frontmatter) {
+        const scriptStart = frontmatter[1].length;
+        const script = frontmatter[2];
+        try {
+            pushEdit(scriptStart, scriptStart + script.length, transformJs(script, bot, {
+                fileExt: '.ts',
+                classHelpers,
+                classSinks,
+                offset: offset + scriptStart
+            }));
+        } catch (error) {
+            bot.warn(`Skipping unparsable frontmatter: ${error.message}`);
+        }
+        markupStart = frontmatter[0].length;
+    }
+
+    // Positions from the scanner are relative to the markup
+    forEachAttribute(content.slice(markupStart), ({ name, nameStart: markupNameStart, value, start: markupValueStart, end: markupValueEnd, quote }) => {
+        const nameStart = markupStart + markupNameStart;
+        const start = markupValueStart === null ? null : markupStart + markupValueStart;
+        const end = markupValueEnd === null ? null : markupStart + markupValueEnd;
+
+        // Svelte class directives: class:hidden={!open} / class:hidden
+        if (isSvelte && name.startsWith('class:')) {
+            const classStart = nameStart + 'class:'.length;
+            const classEnd = nameStart + name.length;
+            const className = content.slice(classStart, classEnd);
+            const updated = bot.prefixClassList(className, { offset: offset + classStart, rule: 'svelte-class-directive' });
+            pushEdit(classStart, classEnd, updated);
+            // The shorthand class:flex reads the variable `flex`, which keeps its name
+            if (value === null && updated !== className) pushEdit(classEnd, classEnd, `={${className}}`);
+            return;
+        }
+        if (value === null) return;
+
+        // Keep string quotes inside a binding from clashing with the attribute's own quotes
+        const keyQuote = quote === "'" ? '"' : "'";
+
+        const isExtra = name !== 'class' && extraAttributes.has(name.toLowerCase());
+        if (isExtra && isBindingAttribute(name.toLowerCase())) {
+            transformExpression(start, end, keyQuote);
+        } else if (name === 'class' || isExtra) {
+            if (quote === '{') transformExpression(start, end, keyQuote);
+            else if (isSvelte) transformInterpolatedClass(start, end, keyQuote);
+            else pushEdit(start, end, bot.prefixClassList(value, { offset: offset + start, rule: `${framework}-class` }));
+        } else if (isAstro && name === 'class:list' && quote === '{') {
+            // class:list={['p-4', { 'font-bold': active }]}
+            transformExpression(start, end, keyQuote);
+        } else if (framework === 'vue' && (name === ':class' || name === 'v-bind:class')) {
+            transformExpression(start, end, keyQuote);
+        }
+    }, { braceExpressions: isSvelte || isAstro });
+
+    // Script and style blocks go through their own processors
+    BLOCK_PATTERN.lastIndex = markupStart;
+    let match;
+    while ((match = BLOCK_PATTERN.exec(content)) !== null) {
+        const [whole, blockName, attributes = '', body] = match;
+        const bodyStart = match.index + whole.indexOf('>') + 1;
+        const lang = getBlockLang(attributes);
+
+        if (blockName.toLowerCase() === 'script') {
+            try {
+                pushEdit(bodyStart, bodyStart + body.length, transformJs(body, bot, {
+                    fileExt: getScriptExt(lang, framework),
+                    classHelpers,
+                    classSinks,
+                    offset: offset + bodyStart
+                }));
+            } catch (error) {
+                bot.warn(`Skipping unparsable <script> block: ${error.message}`);
+            }
+        } else {
+            pushEdit(bodyStart, bodyStart + body.length, bot.processStylesheet(body, getStyleExt(lang), { offset: offset + bodyStart }));
+        }
+    }
+
+    let result = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    processSfc
+};
@@ -0,0 +1,353 @@
+const { findClosingBrace } = require('./markup');
+
+/**
+ * Map a stylesheet extension to the syntax the scanner should expect
+ * @param {string} fileExt - Extension including the dot
+ * @returns {string} 'css', 'scss', 'sass' or 'less'
+ */
+function getSyntax(fileExt) {
+    switch (fileExt) {
+        case '.scss':
+            return 'scss';
+        case '.sass':
+            return 'sass';
+        case '.less':
+            return 'less';
+        default:
+            return 'css';
+    }
+}
+
+// One escape in a selector: a hex code point with its optional terminating space, or any character
+const SELECTOR_ESCAPE = /\\([0-9a-fA-F]{1,6})[ \t\n]?|\\(.)/g;
+
+/**
+ * Escape a class name for use in a selector, as CSS.escape does: variant colons, brackets and
+ * the v4 prefix's `:` get a backslash, and a leading digit (`2xl:`) becomes a code point escape
+ * @param {string} className - Class name
+ * @returns {string} Escaped class name
+ */
+function escapeClassName(className) {
+    return className
+        .replace(/[^\w-]/g, '\\$&')
+        .replace(/^(-?)(\d)/, (match, dash, digit) => `${dash}\\3${digit} `);
+}
+
+/**
+ * Read an escaped class name from a selector: `md\:hover\:bg-red-500`, `w-\[100px\]`, `\32xl\:p-4`
+ * @param {string} rawName - Class name as written, without the dot
+ * @returns {string} Class name
+ */
+function unescapeClassName(rawName) {
+    return rawName.replace(SELECTOR_ESCAPE, (match, hex, char) => (hex ? String.fromCodePoint(parseInt(hex, 16)) : char));
+}
+
+/**
+ * Rewrite the Tailwind utilities in a selector. Custom classes, placeholders (`%foo`),
+ * interpolation (`#{...}`, `@{...}`), attribute selectors and Less mixin calls are left alone.
+ * @param {string} selector - Selector text
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {number|null} [offset=null] - Position of the selector in the file, for change locations
+ * @param {string} [rule='css-selector'] - Rule name recorded with each change
+ * @returns {string} Processed selector
+ */
+function prefixSelector(selector, bot, offset = null, rule = 'css-selector') {
+    let result = '';
+    let i = 0;
+
+    while (i < selector.length) {
+        const char = selector[i];
+
+        if ((char === '#' || char === '@') && selector[i + 1] === '{') {
+            const close = findClosingBrace(selector, i + 1);
+            const end = close === -1 ? selector.length : close + 1;
+            result += selector.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        if (char === '[' || char === '"' || char === "'") {
+            const closeChar = char === '[' ? ']' : char;
+            const close = selector.indexOf(closeChar, i + 1);
+            const end = close === -1 ? selector.length : close + 1;
+            result += selector.slice(i, end);
+            i = end;
+            continue;
+        }
+
+        if (char === '\\') {
+            result += selector.slice(i, i + 2);
+            i += 2;
+            continue;
+        }
+
+        if (char === '.') {
+            // Class names may contain escapes, as in the v4 prefix `.tw\:flex` or `.\32xl\:p-4`
+            const match = /^-?(?:[a-zA-Z_]|\\[0-9a-fA-F]{1,6}[ \t\n]?|\\.)(?:[\w-]|\\[0-9a-fA-F]{1,6}[ \t\n]?|\\.)*/.exec(selector.slice(i + 1));
+            if (match) {
+                const rawName = match[0];
+                const next = selector.slice(i + 1 + rawName.length, i + 3 + rawName.length);
+                // Names glued to interpolation or a mixin call are only partly static
+                const isGlued = /^(#\{|@\{|\()/.test(next);
+                const className = unescapeClassName(rawName);
+                const updated = isGlued
+                    ? className
+                    : bot.transformSelectorClass(className, offset === null ? null : offset + i + 1, rule);
+
+                result += '.' + (updated === className ? rawName : escapeClassName(updated));
+                i += 1 + rawName.length;
+                continue;
+            }
+        }
+
+        result += char;
+        i++;
+    }
+
+    return result;
+}
+
+/**
+ * Prefix the classes of an `@apply` rule, keeping `!important`, variables and interpolation
+ * @param {string} params - Text after `@apply`
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {number|null} [offset=null] - Position of the params in the file, for change locations
+ * @returns {string} Processed params
+ */
+function prefixApplyParams(params, bot, offset = null) {
+    let position = 0;
+    return params
+        .split(/(\s+)/)
+        .map(token => {
+            const tokenStart = position;
+            position += token.length;
+            if (token === '' || /^\s+$/.test(token) || token === '!important') return token;
+            if (/[#@]\{|[${}]/.test(token)) return token;
+            return bot.prefixClassList(token, {
+                offset: offset === null ? null : offset + tokenStart,
+                rule: 'css-apply'
+            });
+        })
+        .join('');
+}
+
+/**
+ * Process a stylesheet written with braces (CSS, SCSS, Less)
+ * @param {string} content - Stylesheet source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {string} syntax - 'css', 'scss' or 'less'
+ * @param {number} offset - Position of `content` in the file
+ * @returns {Object[]} Edits `{ start, end, text }`
+ */
+function scanBraceSyntax(content, bot, syntax, offset) {
+    const edits = [];
+    const hasLineComments = syntax !== 'css';
+    const contexts = [];
+    let segmentStart = 0;
+    let parenDepth = 0;
+
+    const isBlankSoFar = (index) => content.slice(segmentStart, index).trim() === '';
+
+    const handlePrelude = (start, end) => {
+        const text = content.slice(start, end);
+        const leading = text.length - text.trimStart().length;
+        const prelude = text.trim();
+        const parent = contexts[contexts.length - 1];
+
+        if (parent === 'keyframes') {
+            contexts.push('keyframe');
+        } else if (prelude.startsWith('@')) {
+            const atRule = /^@([\w-]+)/.exec(prelude);
+            const name = atRule ? atRule[1].toLowerCase() : '';
+            if (/keyframes$/.test(name)) {
+                contexts.push('keyframes');
+                return;
+            }
+            if (name === 'at-root') {
+                const selectorStart = start + leading + atRule[0].length;
+                pushEdit(edits, content, selectorStart, end, prefixSelector(content.slice(selectorStart, end), bot, offset + selectorStart));
+            }
+            contexts.push(name === 'layer' ? 'layer' : 'atrule');
+        } else if (prelude.endsWith(':')) {
+            // SCSS nested properties: font: { family: ...; }
+            contexts.push('property');
+        } else {
+            // Rules in @layer define the project's own classes, which keep their names
+            if (!contexts.includes('layer')) pushEdit(edits, content, start, end, prefixSelector(text, bot, offset + start));
+            contexts.push('rule');
+        }
+    };
+
+    const handleStatement = (start, end) => {
+        const text = content.slice(start, end);
+        const match = /^(\s*@apply\s)([\s\S]*)$/.exec(text);
+        if (match) {
+            const paramsStart = start + match[1].length;
+            pushEdit(edits, content, paramsStart, end, prefixApplyParams(match[2], bot, offset + paramsStart));
+        }
+    };
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (char === '/' && content[i + 1] === '*') {
+            const close = content.indexOf('*/', i + 2);
+            const end = close === -1 ? content.length : close + 2;
+            if (isBlankSoFar(i)) segmentStart = end;
+            i = end - 1;
+            continue;
+        }
+        if (hasLineComments && parenDepth === 0 && char === '/' && content[i + 1] === '/') {
+            const newline = content.indexOf('\n', i);
+            const end = newline === -1 ? content.length : newline;
+            if (isBlankSoFar(i)) segmentStart = end;
+            i = end - 1;
+            continue;
+        }
+        if (char === '"' || char === "'") {
+            let j = i + 1;
+            while (j < content.length && content[j] !== char) j += content[j] === '\\' ? 2 : 1;
+            i = j;
+            continue;
+        }
+        if ((char === '#' || char === '@') && content[i + 1] === '{') {
+            const close = findClosingBrace(content, i + 1);
+            i = close === -1 ? content.length : close;
+            continue;
+        }
+        if (char === '(') {
+            parenDepth++;
+        } else if (char === ')') {
+            parenDepth = Math.max(0, parenDepth - 1);
+        } else if (parenDepth > 0) {
+            continue;
+        } else if (char === '{') {
+            handlePrelude(segmentStart, i);
+            segmentStart = i + 1;
+        } else if (char === ';') {
+            handleStatement(segmentStart, i);
+            segmentStart = i + 1;
+        } else if (char === '}') {
+            handleStatement(segmentStart, i);
+            contexts.pop();
+            segmentStart = i + 1;
+        }
+    }
+
+    return edits;
+}
+
+/**
+ * Process the indented Sass syntax, where nesting comes from indentation
+ * @param {string} content - Stylesheet source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {number} offset - Position of `content` in the file
+ * @returns {Object[]} Edits `{ start, end, text }`
+ */
+function scanIndentedSyntax(content, bot, offset) {
+    const edits = [];
+    const lines = [];
+    let lineOffset = 0;
+    for (const text of content.split('\n')) {
+        lines.push({ text: text.replace(/\r$/, ''), start: lineOffset });
+        lineOffset += text.length + 1;
+    }
+
+    const indentOf = (text) => text.length - text.trimStart().length;
+    const contexts = [];
+    let commentIndent = -1;
+
+    lines.forEach((line, index) => {
+        const trimmed = line.text.trim();
+        if (trimmed === '') return;
+
+        const indent = indentOf(line.text);
+        if (commentIndent !== -1 && indent > commentIndent) return;
+        commentIndent = -1;
+
+        if (trimmed.startsWith('//') || trimmed.startsWith('/*')) {
+            commentIndent = indent;
+            return;
+        }
+
+        while (contexts.length && contexts[contexts.length - 1].indent >= indent) contexts.pop();
+        const parent = contexts[contexts.length - 1];
+
+        const next = lines.slice(index + 1).find(candidate => candidate.text.trim() !== '');
+        const hasChildren = next !== undefined && indentOf(next.text) > indent;
+        const lineStart = line.start + indent;
+        const lineEnd = line.start + line.text.trimEnd().length;
+
+        if (trimmed.startsWith('@apply ')) {
+            const paramsStart = lineStart + '@apply '.length;
+            pushEdit(edits, content, paramsStart, lineEnd, prefixApplyParams(content.slice(paramsStart, lineEnd), bot, offset + paramsStart));
+            return;
+        }
+
+        let kind = 'declaration';
+        if (parent && parent.kind === 'keyframes') {
+            kind = 'keyframe';
+        } else if (trimmed.startsWith('@')) {
+            kind = /^@(-\w+-)?keyframes\b/.test(trimmed) ? 'keyframes' : /^@layer\b/.test(trimmed) ? 'layer' : 'atrule';
+            if (trimmed.startsWith('@at-root ')) {
+                const selectorStart = lineStart + '@at-root '.length;
+                pushEdit(edits, content, selectorStart, lineEnd, prefixSelector(content.slice(selectorStart, lineEnd), bot, offset + selectorStart));
+            }
+        } else if (/^[=+$%]/.test(trimmed)) {
+            // Mixin definitions, includes, variables and placeholder selectors
+            kind = 'atrule';
+        } else if ((hasChildren || trimmed.endsWith(',')) && !trimmed.endsWith(':')) {
+            kind = 'rule';
+            if (!contexts.some(context => context.kind === 'layer')) {
+                pushEdit(edits, content, lineStart, lineEnd, prefixSelector(trimmed, bot, offset + lineStart));
+            }
+        }
+
+        if (hasChildren) contexts.push({ indent, kind });
+    });
+
+    return edits;
+}
+
+/**
+ * Record an edit when it changes the text
+ * @param {Object[]} edits - Edit list
+ * @param {string} content - Original source
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @param {string} text - Replacement
+ */
+function pushEdit(edits, content, start, end, text) {
+    if (text !== content.slice(start, end)) edits.push({ start, end, text });
+}
+
+/**
+ * Prefix Tailwind utilities in a stylesheet: selectors that are real utilities and every
+ * `@apply` rule, including those nested in rules, mixins and `@include` blocks. Selectors
+ * inside `@layer` blocks are definitions and keep their names; their `@apply` rules change.
+ * @param {string} content - Stylesheet source
+ * @param {Object} bot - TailwindPrefixBot instance
+ * @param {Object} [options] - Processor options
+ * @param {string} [options.fileExt='.css'] - Extension deciding the syntax
+ * @param {number} [options.offset=0] - Position of `content` in the file, for change locations
+ * @returns {string} Processed stylesheet
+ */
+function processStylesheet(content, bot, { fileExt = '.css', offset = 0 } = {}) {
+    const syntax = getSyntax(fileExt);
+    const edits = syntax === 'sass'
+        ? scanIndentedSyntax(content, bot, offset)
+        : scanBraceSyntax(content, bot, syntax, offset);
+
+    let result = content;
+    for (const edit of edits.sort((a, b) => b.start - a.start)) {
+        result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+}
+
+module.exports = {
+    getSyntax,
+    prefixSelector,
+    prefixApplyParams,
+    processStylesheet
+};
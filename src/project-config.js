@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+
+/**
+ * Config files looked up in each directory, in order of precedence
+ */
+const CONFIG_FILES = ['tailwind-prefix.config.js', 'tailwind-prefix.config.cjs', 'tailwind-prefix.config.json'];
+
+/**
+ * `package.json` key holding the config when there is no config file
+ */
+const PACKAGE_KEY = 'tailwindPrefix';
+
+/**
+ * Options a project config may set; `overrides` may set all of them except `overrides`
+ */
+const CONFIG_KEYS = [
+    'prefix', 'targetVersion', 'filePatterns', 'excludePatterns', 'ignoreClasses',
+    'classHelpers', 'classSinks', 'classAttributes', 'classDetection', 'tailwindConfig', 'overrides'
+];
+
+/**
+ * CLI options that also apply inside override directories. `--tailwind-config` names one
+ * file and so only applies to the top-level directory.
+ */
+const SCOPED_CLI_KEYS = ['prefix', 'targetVersion', 'classDetection', 'removePrefix', 'fromPrefix'];
+
+/**
+ * Read a config file or the `tailwindPrefix` key of a package.json
+ * @param {string} configPath - Absolute path
+ * @returns {Object|null} Config object, or null for a package.json without the key
+ * @throws {Error} If the file can't be loaded or doesn't hold an object
+ */
+function readConfigFile(configPath) {
+    let config;
+    try {
+        if (path.extname(configPath) === '.json') {
+            const json = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            config = path.basename(configPath) === 'package.json' ? json[PACKAGE_KEY] : json;
+            if (config === undefined) return null;
+        } else {
+            // Re-read on every call so long-running processes see edits
+            delete require.cache[require.resolve(configPath)];
+            const exported = require(configPath);
+            config = exported && exported.__esModule ? exported.default : exported;
+        }
+    } catch (error) {
+        throw new Error(`Could not load ${configPath}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${configPath} must export an object`);
+    }
+    return config;
+}
+
+/**
+ * Check the keys of a config object
+ * @param {Object} config - Config or override object
+ * @param {string} source - Where it comes from, for error messages
+ * @param {boolean} allowOverrides - Whether `overrides` is allowed here
+ * @throws {Error} On an unknown key or a malformed `overrides`
+ */
+function validateConfig(config, source, allowOverrides) {
+    for (const key of Object.keys(config)) {
+        if (!CONFIG_KEYS.includes(key) || (key === 'overrides' && !allowOverrides)) {
+            throw new Error(`Unknown option "${key}" in ${source}`);
+        }
+    }
+    if (config.overrides !== undefined) {
+        if (!config.overrides || typeof config.overrides !== 'object' || Array.isArray(config.overrides)) {
+            throw new Error(`"overrides" in ${source} must map directories to options`);
+        }
+        for (const [directory, override] of Object.entries(config.overrides)) {
+            validateConfig(override, `${source} (overrides["${directory}"])`, false);
+        }
+    }
+}
+
+/**
+ * Find the project config from a directory upward: the first directory with a
+ * `tailwind-prefix.config.{js,cjs,json}` file or a package.json with a `tailwindPrefix` key wins
+ * @param {string} startDir - Directory to start from
+ * @returns {{path: string, dir: string, config: Object}|null} Config and where it was found
+ */
+function findProjectConfig(startDir) {
+    let dir = path.resolve(startDir);
+    while (true) {
+        for (const file of [...CONFIG_FILES, 'package.json']) {
+            const candidate = path.join(dir, file);
+            if (!fs.existsSync(candidate)) continue;
+            const config = readConfigFile(candidate);
+            if (config) return { path: candidate, dir, config };
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Load a project config, from a given file or found from startDir upward
+ * @param {string} startDir - Directory to search from
+ * @param {string} [configPath] - Explicit config file
+ * @returns {{path: string, dir: string, config: Object}|null} Validated config
+ * @throws {Error} If the config is invalid
+ */
+function loadProjectConfig(startDir, configPath = null) {
+    let found;
+    if (configPath) {
+        const resolvedPath = path.resolve(configPath);
+        const config = readConfigFile(resolvedPath);
+        if (!config) throw new Error(`No "${PACKAGE_KEY}" key in ${resolvedPath}`);
+        found = { path: resolvedPath, dir: path.dirname(resolvedPath), config };
+    } else {
+        found = findProjectConfig(startDir);
+    }
+
+    if (found) validateConfig(found.config, found.path, true);
+    return found;
+}
+
+/**
+ * Copy config options, resolving `tailwindConfig` against the config file's directory
+ * @param {Object} config - Config or override object
+ * @param {string} configDir - Directory of the config file
+ * @returns {Object} Constructor options
+ */
+function toBotOptions(config, configDir) {
+    const options = { ...config };
+    delete options.overrides;
+    if (options.tailwindConfig) options.tailwindConfig = path.resolve(configDir, options.tailwindConfig);
+    return options;
+}
+
+/**
+ * Whether a path is a directory or inside it
+ * @param {string} file - Absolute path
+ * @param {string} dir - Absolute directory
+ * @returns {boolean} Whether `file` is within `dir`
+ */
+function isWithin(file, dir) {
+    const relative = path.relative(dir, file);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Merge the project config with CLI options. Overrides whose directory contains sourceDir
+ * apply to the whole run; overrides for directories inside it become `overrides` entries
+ * handled by their own settings. CLI options win over the config everywhere.
+ * @param {Object} cliOptions - Options given on the command line (only the flags that were set)
+ * @param {Object} [settings] - Lookup settings
+ * @param {string} [settings.configPath] - Explicit config file instead of searching
+ * @returns {{options: Object, configFile: string|null}} Constructor options and the config used
+ * @throws {Error} If the config is invalid
+ */
+function resolveProjectOptions(cliOptions, { configPath = null } = {}) {
+    const sourceDir = path.resolve(cliOptions.sourceDir || './');
+    const project = loadProjectConfig(sourceDir, configPath);
+    if (!project) return { options: { ...cliOptions }, configFile: null };
+
+    let base = toBotOptions(project.config, project.dir);
+    const overrides = [];
+
+    for (const [pattern, override] of Object.entries(project.config.overrides || {})) {
+        // Keys are directories relative to the config file, or globs matching several
+        const directories = glob.sync(pattern.replace(/\/*$/, '/'), { cwd: project.dir, absolute: true })
+            .map(dir => path.resolve(dir));
+        for (const directory of directories) {
+            const containsSourceDir = isWithin(sourceDir, directory);
+            if (containsSourceDir || isWithin(directory, sourceDir)) {
+                overrides.push({ directory, containsSourceDir, options: toBotOptions(override, project.dir) });
+            }
+        }
+    }
+
+    // Overrides containing sourceDir merge into the base, outermost first
+    overrides
+        .filter(override => override.containsSourceDir)
+        .sort((a, b) => a.directory.length - b.directory.length)
+        .forEach(override => { base = { ...base, ...override.options }; });
+
+    const scopedCli = {};
+    for (const key of SCOPED_CLI_KEYS) {
+        if (cliOptions[key] !== undefined) scopedCli[key] = cliOptions[key];
+    }
+
+    return {
+        options: {
+            ...base,
+            ...cliOptions,
+            overrides: overrides
+                .filter(override => !override.containsSourceDir)
+                .map(override => ({ ...override.options, ...scopedCli, directory: override.directory }))
+        },
+        configFile: project.path
+    };
+}
+
+/**
+ * Turn an ignoreClasses entry into a predicate. Entries are exact class names, globs with
+ * `*` and `?` (`fa-*`), RegExp objects, or regex strings such as `"/^swiper-/i"` for JSON configs.
+ * @param {string|RegExp} pattern - Ignore entry
+ * @returns {Function} `(className) => boolean`
+ * @throws {Error} If a regex string is invalid
+ */
+function createClassMatcher(pattern) {
+    if (pattern instanceof RegExp) {
+        return className => { pattern.lastIndex = 0; return pattern.test(className); };
+    }
+
+    const value = String(pattern);
+    const regexString = /^\/(.+)\/([a-z]*)$/.exec(value);
+    if (regexString) {
+        const regex = new RegExp(regexString[1], regexString[2].replace('g', ''));
+        return className => regex.test(className);
+    }
+    if (/[*?]/.test(value)) {
+        const source = value.split('').map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        const regex = new RegExp(`^${source}$`);
+        return className => regex.test(className);
+    }
+    return className => className === value;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    PACKAGE_KEY,
+    findProjectConfig,
+    loadProjectConfig,
+    resolveProjectOptions,
+    createClassMatcher,
+    isWithin
+};
@@ -0,0 +1,231 @@
+const path = require('path');
+const { version } = require('../package.json');
+
+/**
+ * Report formats of `--report`, by file extension
+ */
+const REPORT_FORMATS = { '.json': 'json', '.html': 'html' };
+
+/**
+ * Work out the report format from the report file name
+ * @param {string} file - Report file
+ * @returns {string} 'json' or 'html'
+ * @throws {Error} For other extensions
+ */
+function getReportFormat(file) {
+    const format = REPORT_FORMATS[path.extname(file).toLowerCase()];
+    if (!format) {
+        throw new Error(`Report file must end in ${Object.keys(REPORT_FORMATS).join(' or ')}: ${file}`);
+    }
+    return format;
+}
+
+/**
+ * Count values by key
+ * @param {Object[]} entries - Entries to count
+ * @param {string} key - Property to group by
+ * @returns {Object} `{ value: count }`, most frequent first
+ */
+function countBy(entries, key) {
+    const counts = new Map();
+    for (const entry of entries) counts.set(entry[key], (counts.get(entry[key]) || 0) + 1);
+    return Object.fromEntries([...counts].sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * Build the inventory of a run from its per-file results
+ * @param {Object[]} files - `{ file, status, changes, skipped, warnings, error }` per processed file
+ * @param {Object} run - What the run did
+ * @param {string} run.description - e.g. `adding prefix "tw-"`
+ * @param {Object[]} [run.overrides] - `{ directory, description }` per override directory
+ * @param {string|null} [run.runId] - Run ID, for undo
+ * @param {boolean} [run.dryRun] - Whether files were left unwritten
+ * @returns {Object} Report with a summary, one entry per class rewrite and the per-file details
+ */
+function createRunReport(files, { description, overrides = [], runId = null, dryRun = false }) {
+    const withoutOffsets = ({ start, end, ...entry }) => entry;
+    const sortedFiles = [...files]
+        .sort((a, b) => a.file.localeCompare(b.file))
+        .map(file => ({
+            ...file,
+            changes: (file.changes || []).map(withoutOffsets),
+            skipped: (file.skipped || []).map(withoutOffsets),
+            warnings: file.warnings || []
+        }));
+
+    const changes = sortedFiles.flatMap(file => file.changes.map(change => ({ ...change, file: file.file })));
+    const skipped = sortedFiles.flatMap(file => file.skipped);
+
+    // One row per distinct rewrite, such as `hover:bg-red-500 -> hover:tw-bg-red-500`
+    const classes = new Map();
+    for (const change of changes) {
+        const key = `${change.original}\n${change.updated}`;
+        if (!classes.has(key)) classes.set(key, { original: change.original, updated: change.updated, count: 0, files: new Set() });
+        const entry = classes.get(key);
+        entry.count++;
+        entry.files.add(change.file);
+    }
+
+    const statuses = countBy(sortedFiles, 'status');
+    return {
+        tool: { name: 'tailwind-prefixify', version },
+        generatedAt: new Date().toISOString(),
+        description,
+        overrides,
+        runId,
+        dryRun,
+        summary: {
+            files: sortedFiles.length,
+            updated: (statuses.updated || 0) + (statuses['would-update'] || 0),
+            unchanged: statuses.unchanged || 0,
+            cached: statuses.cached || 0,
+            errors: statuses.error || 0,
+            rolledBack: statuses['rolled-back'] || 0,
+            changes: changes.length,
+            skipped: skipped.length,
+            changesByRule: countBy(changes, 'rule'),
+            skippedByReason: countBy(skipped, 'reason')
+        },
+        classes: [...classes.values()]
+            .map(entry => ({ ...entry, files: [...entry.files] }))
+            .sort((a, b) => b.count - a.count || a.original.localeCompare(b.original)),
+        files: sortedFiles
+    };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML table
+ * @param {string[]} headings - Column headings
+ * @param {Array<Array<*>>} rows - Cell values, escaped here
+ * @returns {string} Table markup
+ */
+function htmlTable(headings, rows) {
+    if (rows.length === 0) return '<p class="empty">None</p>';
+    const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('\n');
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Self-contained HTML page: summary, class inventory and a collapsible section per file,
+ * with a filter box matching file names and classes
+ * @param {Object} report - Result of createRunReport
+ * @returns {string} HTML document
+ */
+function formatHtml(report) {
+    const { summary } = report;
+    const location = entry => (entry.line === null ? '' : `${entry.line}:${entry.column}`);
+
+    const overview = htmlTable(['', ''], [
+        ['Change', report.description],
+        ...report.overrides.map(override => [`Override ${override.directory}`, override.description]),
+        ['Run', report.dryRun ? 'dry run (no files written)' : report.runId || ''],
+        ['Files processed', summary.files],
+        [report.dryRun ? 'Files that would be updated' : 'Files updated', summary.updated],
+        ['Files unchanged', summary.unchanged + summary.cached],
+        ['Files with errors', summary.errors],
+        ['Files rolled back', summary.rolledBack],
+        ['Classes changed', summary.changes],
+        ['Classes skipped', summary.skipped]
+    ]);
+
+    const files = report.files.map(file => {
+        const sections = [];
+        if (file.error) sections.push(`<p class="error">${escapeHtml(file.error)}</p>`);
+        if (file.warnings.length > 0) {
+            sections.push(`<ul class="warnings">${file.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`);
+        }
+        sections.push('<h4>Changed</h4>', htmlTable(
+            ['Location', 'Original', 'Updated', 'Rule'],
+            file.changes.map(change => [location(change), change.original, change.updated, change.rule])
+        ));
+        sections.push('<h4>Skipped</h4>', htmlTable(
+            ['Location', 'Class', 'Reason', 'Rule'],
+            file.skipped.map(skip => [location(skip), skip.className, skip.reason, skip.rule])
+        ));
+
+        const classes = [...file.changes.map(change => change.original), ...file.skipped.map(skip => skip.className)];
+        return `<details class="file status-${escapeHtml(file.status)}" data-search="${escapeHtml([file.file, ...classes].join(' '))}">
+<summary><code>${escapeHtml(file.file)}</code> <span class="badge">${escapeHtml(file.status)}</span> ${file.changes.length} changed, ${file.skipped.length} skipped</summary>
+${sections.join('\n')}
+</details>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Tailwind prefix report</title>
+<style>
+body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1f2937; }
+table { border-collapse: collapse; margin: .5rem 0 1rem; }
+th, td { border: 1px solid #e5e7eb; padding: .25rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+td, code { font-family: ui-monospace, monospace; font-size: 13px; }
+details.file { border: 1px solid #e5e7eb; border-radius: 4px; margin: .25rem 0; padding: .25rem .75rem; }
+summary { cursor: pointer; }
+.badge { border-radius: 3px; padding: 0 .4rem; background: #e5e7eb; font-size: 12px; }
+.status-updated .badge, .status-would-update .badge { background: #d1fae5; }
+.status-error .badge, .error { background: #fee2e2; }
+.warnings { color: #92400e; }
+.empty { color: #6b7280; }
+#filter { padding: .3rem .5rem; width: 24rem; }
+</style>
+</head>
+<body>
+<h1>Tailwind prefix report</h1>
+<p>Generated ${escapeHtml(report.generatedAt)} by ${escapeHtml(report.tool.name)} ${escapeHtml(report.tool.version)}</p>
+${overview}
+<h2>Skipped classes by reason</h2>
+${htmlTable(['Reason', 'Classes'], Object.entries(summary.skippedByReason))}
+<h2>Changes by rule</h2>
+${htmlTable(['Rule', 'Classes'], Object.entries(summary.changesByRule))}
+<h2>Class inventory</h2>
+${htmlTable(['Original', 'Updated', 'Occurrences', 'Files'], report.classes.map(entry => [entry.original, entry.updated, entry.count, entry.files.length]))}
+<h2>Files</h2>
+<p><input id="filter" type="search" placeholder="Filter by file or class"></p>
+${files}
+<script>
+document.getElementById('filter').addEventListener('input', function (event) {
+    var query = event.target.value.toLowerCase();
+    document.querySelectorAll('details.file').forEach(function (file) {
+        file.hidden = query !== '' && file.dataset.search.toLowerCase().indexOf(query) === -1;
+    });
+});
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Format a run report
+ * @param {Object} report - Result of createRunReport
+ * @param {string} format - 'json' or 'html'
+ * @returns {string} Report file content
+ */
+function formatRunReport(report, format) {
+    return format === 'html' ? formatHtml(report) : JSON.stringify(report, null, 2) + '\n';
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    getReportFormat,
+    createRunReport,
+    formatRunReport
+};
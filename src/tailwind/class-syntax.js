@@ -0,0 +1,102 @@
+/**
+ * Tailwind class syntax: `variant:variant:!-utility` (v3) or `variant:-utility!` (v4).
+ *
+ * Variants are split on top-level colons only, so colons inside arbitrary variants and values
+ * (`[@media(min-width:900px)]:flex`, `supports-[display:grid]:grid`, `[mask-type:luminance]`)
+ * stay where they are. Named groups (`group-hover/item:`), `aria-*`, `data-[...]`, `has-[...]`,
+ * `*:` and `@container` variants need no special handling: a variant is whatever comes before
+ * a top-level colon.
+ */
+
+/**
+ * Split a class on the colons outside brackets, parentheses and quotes
+ * @param {string} className - Class as written
+ * @returns {string[]} Variants followed by the utility part
+ */
+function splitVariants(className) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+
+    for (let i = 0; i < className.length; i++) {
+        const char = className[i];
+        if (char === '\\') {
+            i++;
+        } else if (quote) {
+            if (char === quote) quote = null;
+        } else if (depth > 0 && (char === '"' || char === "'")) {
+            quote = char;
+        } else if (char === '[' || char === '(') {
+            depth++;
+        } else if ((char === ']' || char === ')') && depth > 0) {
+            depth--;
+        } else if (char === ':' && depth === 0) {
+            parts.push(className.slice(start, i));
+            start = i + 1;
+        }
+    }
+
+    parts.push(className.slice(start));
+    return parts;
+}
+
+/**
+ * Parse a class into its parts
+ * @param {string} className - Class such as `md:hover:!-mt-4`, `[&>*]:p-4` or `tw:bg-red-500/50!`
+ * @returns {{variants: string[], important: boolean, trailingImportant: boolean, negative: boolean, utility: string}}
+ *   Variants in order, whether the class is important and whether the flag is written at the
+ *   end (v4), whether the utility is negative, and the utility without `!` and `-`
+ */
+function parseClass(className) {
+    const variants = splitVariants(className);
+    let utility = variants.pop();
+
+    let important = false;
+    let trailingImportant = false;
+    if (utility.startsWith('!')) {
+        important = true;
+        utility = utility.slice(1);
+    } else if (utility.endsWith('!')) {
+        important = true;
+        trailingImportant = true;
+        utility = utility.slice(0, -1);
+    }
+
+    // A lone `-` is not a negative utility
+    const negative = utility.length > 1 && utility.startsWith('-');
+    if (negative) utility = utility.slice(1);
+
+    return { variants, important, trailingImportant, negative, utility };
+}
+
+/**
+ * Write parsed parts back as a class
+ * @param {Object} parts - Result of parseClass, possibly modified
+ * @returns {string} Class name
+ */
+function formatClass({ variants, important, trailingImportant, negative, utility }) {
+    return variants.map(variant => `${variant}:`).join('')
+        + (important && !trailingImportant ? '!' : '')
+        + (negative ? '-' : '')
+        + utility
+        + (important && trailingImportant ? '!' : '');
+}
+
+/**
+ * The utility of a class with its negative sign, but without variants and the important flag:
+ * `md:hover:!-mt-4` -> `-mt-4`
+ * @param {string} className - Class as written
+ * @returns {string} Bare utility
+ */
+function getBareUtility(className) {
+    const { negative, utility } = parseClass(className);
+    return (negative ? '-' : '') + utility;
+}
+
+module.exports = {
+    splitVariants,
+    parseClass,
+    formatClass,
+    getBareUtility
+};
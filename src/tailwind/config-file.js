@@ -0,0 +1,275 @@
+const path = require('path');
+const { parseSource, applyEdits } = require('../processors/javascript');
+
+/**
+ * Expressions wrapping the config object without changing it (`{...} satisfies Config`, `as Config`)
+ */
+const TS_WRAPPERS = new Set(['TSSatisfiesExpression', 'TSAsExpression', 'TSTypeAssertion', 'TSNonNullExpression', 'ParenthesizedExpression']);
+
+/**
+ * Find the top-level variable declarator with a given name
+ * @param {Object} program - Program node
+ * @param {string} name - Variable name
+ * @returns {Object|null} VariableDeclarator node
+ */
+function findVariable(program, name) {
+    for (const statement of program.body) {
+        const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+        if (!declaration || declaration.type !== 'VariableDeclaration') continue;
+        const declarator = declaration.declarations.find(candidate => candidate.id.type === 'Identifier' && candidate.id.name === name);
+        if (declarator) return declarator;
+    }
+    return null;
+}
+
+/**
+ * Follow a config expression to the object literal it evaluates to, through type
+ * assertions, wrapper calls and variables
+ * @param {Object} node - Expression node
+ * @param {Object} program - Program node, for resolving variables
+ * @param {Set<string>} [seen] - Variables already followed
+ * @returns {Object|null} ObjectExpression node
+ */
+function resolveConfigObject(node, program, seen = new Set()) {
+    if (!node) return null;
+    if (node.type === 'ObjectExpression') return node;
+    if (TS_WRAPPERS.has(node.type)) return resolveConfigObject(node.expression, program, seen);
+    // defineConfig({...}), withMT({...}) and other config helpers take the object first
+    if (node.type === 'CallExpression' && node.arguments.length > 0) {
+        return resolveConfigObject(node.arguments[0], program, seen);
+    }
+    if (node.type === 'Identifier' && !seen.has(node.name)) {
+        seen.add(node.name);
+        const declarator = findVariable(program, node.name);
+        return declarator ? resolveConfigObject(declarator.init, program, seen) : null;
+    }
+    return null;
+}
+
+/**
+ * Find the exported config object: `module.exports = ...`, `exports.default = ...` or `export default ...`
+ * @param {Object} program - Program node
+ * @returns {Object|null} ObjectExpression node
+ */
+function findConfigObject(program) {
+    for (const statement of program.body) {
+        if (statement.type === 'ExportDefaultDeclaration') {
+            return resolveConfigObject(statement.declaration, program);
+        }
+
+        if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') continue;
+        const target = statement.expression.left;
+        if (target.type !== 'MemberExpression' || target.computed) continue;
+        const isModuleExports = target.object.type === 'Identifier' && target.object.name === 'module'
+            && target.property.name === 'exports';
+        const isExportsDefault = target.object.type === 'Identifier' && target.object.name === 'exports'
+            && target.property.name === 'default';
+        if (isModuleExports || isExportsDefault) {
+            return resolveConfigObject(statement.expression.right, program);
+        }
+    }
+    return null;
+}
+
+// Marks a value that can't be known without running the config
+const UNRESOLVED = Symbol('unresolved');
+
+/**
+ * Static value of a config expression: literals, arrays, objects and the variables they come
+ * from. Anything computed (function calls, imports, theme functions) is UNRESOLVED; object
+ * keys and array items with such values are left out and their paths collected.
+ * @param {Object} node - Expression node
+ * @param {Object} program - Program node, for resolving variables
+ * @param {string} keyPath - Dotted path of the value in the config, for `unresolved`
+ * @param {string[]} unresolved - Collects the paths of values that were left out
+ * @param {Set<string>} [seen] - Variables already followed
+ * @returns {*} Plain value, or UNRESOLVED
+ */
+function evaluateStatic(node, program, keyPath, unresolved, seen = new Set()) {
+    if (!node) return UNRESOLVED;
+    if (TS_WRAPPERS.has(node.type)) return evaluateStatic(node.expression, program, keyPath, unresolved, seen);
+
+    switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+            return node.value;
+        case 'NullLiteral':
+            return null;
+        case 'TemplateLiteral':
+            return node.expressions.length === 0 ? node.quasis[0].value.cooked : UNRESOLVED;
+        case 'UnaryExpression':
+            return node.operator === '-' && node.argument.type === 'NumericLiteral' ? -node.argument.value : UNRESOLVED;
+        case 'Identifier': {
+            if (seen.has(node.name)) return UNRESOLVED;
+            const declarator = findVariable(program, node.name);
+            return declarator
+                ? evaluateStatic(declarator.init, program, keyPath, unresolved, new Set([...seen, node.name]))
+                : UNRESOLVED;
+        }
+        case 'ArrayExpression':
+            return node.elements.flatMap((element, index) => {
+                const itemPath = `${keyPath}[${index}]`;
+                const value = evaluateStatic(element, program, itemPath, unresolved, seen);
+                if (value !== UNRESOLVED) return [value];
+                unresolved.push(itemPath);
+                return [];
+            });
+        case 'ObjectExpression': {
+            const result = {};
+            for (const property of node.properties) {
+                if (property.type === 'SpreadElement') {
+                    const value = evaluateStatic(property.argument, program, keyPath, unresolved, seen);
+                    if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(result, value);
+                    else if (value === UNRESOLVED) unresolved.push(`${keyPath}...`);
+                    continue;
+                }
+                const key = property.computed ? null
+                    : property.key.type === 'Identifier' ? property.key.name
+                        : ['StringLiteral', 'NumericLiteral'].includes(property.key.type) ? String(property.key.value) : null;
+                const propertyPath = keyPath ? `${keyPath}.${key}` : key;
+                const value = key === null || property.type !== 'ObjectProperty'
+                    ? UNRESOLVED
+                    : evaluateStatic(property.value, program, propertyPath, unresolved, seen);
+                if (value === UNRESOLVED) {
+                    unresolved.push(propertyPath || `${keyPath}[?]`);
+                } else {
+                    result[key] = value;
+                }
+            }
+            return result;
+        }
+        default:
+            return UNRESOLVED;
+    }
+}
+
+/**
+ * Read a Tailwind config without running it, for configs Node can't `require()` such as
+ * TypeScript and ESM configs. Literal values are read as written; computed ones are left out.
+ * @param {string} code - Config source
+ * @param {Object} [options] - Read options
+ * @param {string} [options.fileExt='.js'] - Config extension deciding the syntax
+ * @returns {{config: Object, unresolved: string[]}|null} Config and the dotted paths of the values
+ *   that were left out, or null when the file exports no config object
+ * @throws {SyntaxError} If the config can't be parsed
+ */
+function readConfigStatically(code, { fileExt = '.js' } = {}) {
+    const program = parseSource(code, fileExt).program;
+    const object = findConfigObject(program);
+    if (!object) return null;
+
+    const unresolved = [];
+    const config = evaluateStatic(object, program, '', unresolved);
+    return { config, unresolved };
+}
+
+/**
+ * Static value of a `prefix` property, or its source text when it is computed
+ * @param {Object} value - Property value node
+ * @param {string} code - Config source
+ * @returns {string} Prefix
+ */
+function readPrefixValue(value, code) {
+    if (value.type === 'StringLiteral') return value.value;
+    if (value.type === 'TemplateLiteral' && value.expressions.length === 0) return value.quasis[0].value.cooked;
+    return code.slice(value.start, value.end);
+}
+
+/**
+ * Edit that deletes an object property together with its comma, and its line when it
+ * sits on a line of its own
+ * @param {string} code - Source
+ * @param {Object} object - ObjectExpression node
+ * @param {Object} property - Property to remove
+ * @returns {Object} Edit `{ start, end, text }`
+ */
+function removePropertyEdit(code, object, property) {
+    const index = object.properties.indexOf(property);
+    const next = object.properties[index + 1];
+    const previous = object.properties[index - 1];
+
+    const lineStart = code.lastIndexOf('\n', property.start - 1) + 1;
+    const comma = /^\s*,/.exec(code.slice(property.end));
+    const end = property.end + (comma ? comma[0].length : 0);
+    const lineEnd = code.indexOf('\n', end);
+    const ownsLine = /^\s*$/.test(code.slice(lineStart, property.start))
+        && /^\s*$/.test(code.slice(end, lineEnd === -1 ? code.length : lineEnd));
+
+    if (ownsLine && lineEnd !== -1) return { start: lineStart, end: lineEnd + 1, text: '' };
+    if (next) return { start: property.start, end: next.start, text: '' };
+    if (previous) return { start: previous.end, end, text: '' };
+    return { start: object.start + 1, end: object.end - 1, text: '' };
+}
+
+/**
+ * Set, replace or remove the `prefix` of a Tailwind config by editing its AST. Only the
+ * top-level `prefix` key counts; `prefix` options nested in plugin calls or theme values are ignored.
+ * @param {string} code - Config source
+ * @param {string|null} prefix - Prefix to set, or null to remove it
+ * @param {Object} [options] - Update options
+ * @param {string} [options.fileExt='.js'] - Config extension deciding the syntax
+ * @param {string} [options.fromPrefix] - Prefix the config may currently have and that should be
+ *   replaced; any other existing prefix is a conflict
+ * @returns {Object} `{ status, code, existingPrefix }` where status is 'updated', 'unchanged'
+ *   (already as requested), 'conflict' (has a different prefix) or 'unsupported' (no config object found)
+ * @throws {SyntaxError} If the config can't be parsed
+ */
+function updateConfigPrefix(code, prefix, { fileExt = '.js', fromPrefix = null } = {}) {
+    const ast = parseSource(code, fileExt);
+    const config = findConfigObject(ast.program);
+    if (!config) return { status: 'unsupported', code, existingPrefix: null };
+
+    const existing = config.properties.find(property => property.type === 'ObjectProperty'
+        && !property.computed
+        && ((property.key.type === 'Identifier' && property.key.name === 'prefix')
+            || (property.key.type === 'StringLiteral' && property.key.value === 'prefix')));
+
+    // Match the file's quote style and the indentation of the first property
+    const quoteMatch = /["']/.exec(code.slice(config.start, config.end));
+    const quote = quoteMatch ? quoteMatch[0] : "'";
+
+    if (existing) {
+        const existingPrefix = readPrefixValue(existing.value, code);
+        if (existingPrefix === prefix) return { status: 'unchanged', code, existingPrefix };
+        if (existingPrefix !== fromPrefix) return { status: 'conflict', code, existingPrefix };
+
+        const edit = prefix === null
+            ? removePropertyEdit(code, config, existing)
+            : { start: existing.value.start, end: existing.value.end, text: `${quote}${prefix}${quote}` };
+        return { status: 'updated', code: applyEdits(code, [edit]), existingPrefix };
+    }
+
+    if (prefix === null) return { status: 'unchanged', code, existingPrefix: null };
+
+    const entry = `prefix: ${quote}${prefix}${quote}`;
+    let edit;
+    if (config.properties.length === 0) {
+        edit = { start: config.start + 1, end: config.end - 1, text: ` ${entry} ` };
+    } else {
+        const first = config.properties[0];
+        const lineStart = code.lastIndexOf('\n', first.start - 1) + 1;
+        const indent = code.slice(lineStart, first.start);
+        edit = /^\s*$/.test(indent)
+            ? { start: first.start, end: first.start, text: `${entry},\n${indent}` }
+            : { start: first.start, end: first.start, text: `${entry}, ` };
+    }
+
+    return { status: 'updated', code: applyEdits(code, [edit]), existingPrefix: null };
+}
+
+/**
+ * Extension of a config file, as used to pick the parser plugins
+ * @param {string} configPath - Config path
+ * @returns {string} '.ts' for TypeScript configs, '.js' otherwise
+ */
+function getConfigExt(configPath) {
+    return ['.ts', '.mts', '.cts'].includes(path.extname(configPath)) ? '.ts' : '.js';
+}
+
+module.exports = {
+    findConfigObject,
+    readConfigStatically,
+    updateConfigPrefix,
+    getConfigExt
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+
+/**
+ * `@import "tailwindcss" ...;` — the v4 entry point, with its options (`prefix(tw)`, `source(...)`)
+ */
+const TAILWIND_IMPORT = /@import\s+(["'])tailwindcss\1([^;]*);/;
+
+/**
+ * Directories never searched for CSS entry files
+ */
+const IGNORED_DIRS = ['node_modules/**', 'vendor/**', '.git/**', 'dist/**', 'build/**'];
+
+/**
+ * Find the Tailwind v4 CSS entry files (`@import "tailwindcss"`) under a directory. When it has
+ * none, the directories above it are checked one at a time, without descending into them, up to
+ * the project root (the first one with a package.json or .git), so entries of other packages
+ * are never picked up.
+ * @param {string} sourceDir - Directory to search
+ * @returns {string[]} Absolute paths of entry files
+ */
+function findCssEntries(sourceDir) {
+    const search = (dir, pattern) => glob
+        .sync(pattern, { cwd: dir, ignore: IGNORED_DIRS, absolute: true, nodir: true })
+        .filter(file => TAILWIND_IMPORT.test(fs.readFileSync(file, 'utf8')));
+
+    let dir = path.resolve(sourceDir);
+    const entries = search(dir, '**/*.css');
+    while (entries.length === 0) {
+        const isProjectRoot = ['package.json', '.git'].some(name => fs.existsSync(path.join(dir, name)));
+        const parent = path.dirname(dir);
+        if (isProjectRoot || parent === dir) break;
+        dir = parent;
+        entries.push(...search(dir, '*.css'));
+    }
+    return entries;
+}
+
+/**
+ * Read the `prefix(...)` option of the Tailwind import in a CSS entry
+ * @param {string} css - Entry file content
+ * @returns {string|null} Configured prefix, or null when there is none
+ */
+function getImportPrefix(css) {
+    const match = TAILWIND_IMPORT.exec(css);
+    if (!match) return null;
+    const prefix = /\bprefix\(\s*([^)\s]+)\s*\)/.exec(match[2]);
+    return prefix ? prefix[1] : null;
+}
+
+/**
+ * Set or remove the `prefix(...)` option of the Tailwind import in a CSS entry
+ * @param {string} css - Entry file content
+ * @param {string|null} prefix - Prefix without separator (`tw`), or null to remove it
+ * @returns {string} Updated content
+ */
+function setImportPrefix(css, prefix) {
+    return css.replace(TAILWIND_IMPORT, (match, quote, options) => {
+        const withoutPrefix = options.replace(/\s*\bprefix\([^)]*\)/, '');
+        return `@import ${quote}tailwindcss${quote}${withoutPrefix}${prefix === null ? '' : ` prefix(${prefix})`};`;
+    });
+}
+
+module.exports = {
+    TAILWIND_IMPORT,
+    findCssEntries,
+    getImportPrefix,
+    setImportPrefix
+};
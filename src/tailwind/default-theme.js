@@ -0,0 +1,163 @@
+/**
+ * The parts of Tailwind's default theme (v3) that decide which utility values exist.
+ * Used when the project doesn't have `tailwindcss` installed to resolve its own config.
+ */
+
+const SHADES = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900', '950'];
+
+const PALETTE = [
+    'slate', 'gray', 'zinc', 'neutral', 'stone', 'red', 'orange', 'amber', 'yellow', 'lime',
+    'green', 'emerald', 'teal', 'cyan', 'sky', 'blue', 'indigo', 'violet', 'purple', 'fuchsia',
+    'pink', 'rose'
+];
+
+const colors = {
+    inherit: 'inherit',
+    current: 'currentColor',
+    transparent: 'transparent',
+    black: '#000',
+    white: '#fff'
+};
+for (const name of PALETTE) {
+    colors[name] = Object.fromEntries(SHADES.map(shade => [shade, `${name}-${shade}`]));
+}
+
+/**
+ * Build a scale whose keys are also its values
+ * @param {Array<string|number>} keys - Scale keys
+ * @returns {Object} Scale object
+ */
+function scale(keys) {
+    return Object.fromEntries(keys.map(key => [String(key), String(key)]));
+}
+
+const spacing = scale([
+    'px', 0, 0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 16, 20, 24, 28, 32,
+    36, 40, 44, 48, 52, 56, 60, 64, 72, 80, 96
+]);
+
+const fractions = scale([
+    '1/2', '1/3', '2/3', '1/4', '2/4', '3/4', '1/5', '2/5', '3/5', '4/5', '1/6', '2/6', '3/6',
+    '4/6', '5/6', '1/12', '2/12', '3/12', '4/12', '5/12', '6/12', '7/12', '8/12', '9/12', '10/12',
+    '11/12'
+]);
+
+const sizeKeywords = scale(['auto', 'full', 'min', 'max', 'fit']);
+
+const breakpoints = { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' };
+
+const theme = {
+    screens: breakpoints,
+    colors,
+    spacing,
+    padding: spacing,
+    margin: { ...spacing, ...scale(['auto']) },
+    gap: spacing,
+    space: spacing,
+    inset: { ...spacing, ...fractions, ...scale(['auto', 'full']) },
+    width: { ...spacing, ...fractions, ...sizeKeywords, ...scale(['screen', 'svw', 'lvw', 'dvw']) },
+    minWidth: { ...spacing, ...sizeKeywords },
+    maxWidth: {
+        ...spacing,
+        ...sizeKeywords,
+        ...scale(['none', 'xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', 'prose']),
+        ...scale(Object.keys(breakpoints).map(name => `screen-${name}`))
+    },
+    height: { ...spacing, ...fractions, ...sizeKeywords, ...scale(['screen', 'svh', 'lvh', 'dvh']) },
+    minHeight: { ...spacing, ...sizeKeywords, ...scale(['screen', 'svh', 'lvh', 'dvh']) },
+    maxHeight: { ...spacing, ...sizeKeywords, ...scale(['none', 'screen', 'svh', 'lvh', 'dvh']) },
+    size: { ...spacing, ...fractions, ...sizeKeywords },
+    translate: { ...spacing, ...fractions, ...scale(['full']) },
+    scrollMargin: spacing,
+    scrollPadding: spacing,
+    textIndent: spacing,
+    flexBasis: { ...spacing, ...fractions, ...scale(['auto', 'full']) },
+    borderSpacing: spacing,
+
+    fontFamily: scale(['sans', 'serif', 'mono']),
+    fontSize: scale(['xs', 'sm', 'base', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl', '8xl', '9xl']),
+    fontWeight: scale(['thin', 'extralight', 'light', 'normal', 'medium', 'semibold', 'bold', 'extrabold', 'black']),
+    letterSpacing: scale(['tighter', 'tight', 'normal', 'wide', 'wider', 'widest']),
+    lineHeight: scale([3, 4, 5, 6, 7, 8, 9, 10, 'none', 'tight', 'snug', 'normal', 'relaxed', 'loose']),
+    lineClamp: scale([1, 2, 3, 4, 5, 6, 'none']),
+    listStyleType: scale(['none', 'disc', 'decimal']),
+    listStyleImage: scale(['none']),
+    textDecorationThickness: scale(['auto', 'from-font', 0, 1, 2, 4, 8]),
+    textUnderlineOffset: scale(['auto', 0, 1, 2, 4, 8]),
+
+    backgroundImage: scale(['none', 'gradient-to-t', 'gradient-to-tr', 'gradient-to-r', 'gradient-to-br',
+        'gradient-to-b', 'gradient-to-bl', 'gradient-to-l', 'gradient-to-tl']),
+    backgroundPosition: scale(['bottom', 'center', 'left', 'left-bottom', 'left-top', 'right',
+        'right-bottom', 'right-top', 'top']),
+    backgroundSize: scale(['auto', 'cover', 'contain']),
+    gradientColorStopPositions: scale(['0%', '5%', '10%', '15%', '20%', '25%', '30%', '35%', '40%', '45%',
+        '50%', '55%', '60%', '65%', '70%', '75%', '80%', '85%', '90%', '95%', '100%']),
+
+    borderRadius: { DEFAULT: '0.25rem', ...scale(['none', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', 'full']) },
+    borderWidth: { DEFAULT: '1px', ...scale([0, 2, 4, 8]) },
+    outlineWidth: scale([0, 1, 2, 4, 8]),
+    outlineOffset: scale([0, 1, 2, 4, 8]),
+    ringWidth: { DEFAULT: '3px', ...scale([0, 1, 2, 4, 8]) },
+    ringOffsetWidth: scale([0, 1, 2, 4, 8]),
+    strokeWidth: scale([0, 1, 2]),
+
+    boxShadow: { DEFAULT: 'shadow', ...scale(['sm', 'md', 'lg', 'xl', '2xl', 'inner', 'none']) },
+    dropShadow: { DEFAULT: 'drop-shadow', ...scale(['sm', 'md', 'lg', 'xl', '2xl', 'none']) },
+    opacity: scale([0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 100]),
+    blur: { DEFAULT: '8px', ...scale(['none', 'sm', 'md', 'lg', 'xl', '2xl', '3xl']) },
+    brightness: scale([0, 50, 75, 90, 95, 100, 105, 110, 125, 150, 200]),
+    contrast: scale([0, 50, 75, 100, 125, 150, 200]),
+    grayscale: { DEFAULT: '100%', ...scale([0]) },
+    hueRotate: scale([0, 15, 30, 60, 90, 180]),
+    invert: { DEFAULT: '100%', ...scale([0]) },
+    saturate: scale([0, 50, 100, 150, 200]),
+    sepia: { DEFAULT: '100%', ...scale([0]) },
+
+    transitionProperty: { DEFAULT: 'default', ...scale(['none', 'all', 'colors', 'opacity', 'shadow', 'transform']) },
+    transitionDuration: scale([0, 75, 100, 150, 200, 300, 500, 700, 1000]),
+    transitionDelay: scale([0, 75, 100, 150, 200, 300, 500, 700, 1000]),
+    transitionTimingFunction: scale(['linear', 'in', 'out', 'in-out']),
+    animation: scale(['none', 'spin', 'ping', 'pulse', 'bounce']),
+    scale: scale([0, 50, 75, 90, 95, 100, 105, 110, 125, 150]),
+    rotate: scale([0, 1, 2, 3, 6, 12, 45, 90, 180]),
+    skew: scale([0, 1, 2, 3, 6, 12]),
+    transformOrigin: scale(['center', 'top', 'top-right', 'right', 'bottom-right', 'bottom',
+        'bottom-left', 'left', 'top-left']),
+
+    zIndex: scale([0, 10, 20, 30, 40, 50, 'auto']),
+    order: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 'first', 'last', 'none']),
+    flex: scale([1, 'auto', 'initial', 'none']),
+    flexGrow: { DEFAULT: '1', ...scale([0]) },
+    flexShrink: { DEFAULT: '1', ...scale([0]) },
+    gridTemplateColumns: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 'none', 'subgrid']),
+    gridTemplateRows: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 'none', 'subgrid']),
+    gridColumn: scale(['auto', 'span-1', 'span-2', 'span-3', 'span-4', 'span-5', 'span-6', 'span-7',
+        'span-8', 'span-9', 'span-10', 'span-11', 'span-12', 'span-full']),
+    gridRow: scale(['auto', 'span-1', 'span-2', 'span-3', 'span-4', 'span-5', 'span-6', 'span-7',
+        'span-8', 'span-9', 'span-10', 'span-11', 'span-12', 'span-full']),
+    gridColumnStart: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 'auto']),
+    gridColumnEnd: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 'auto']),
+    gridRowStart: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 'auto']),
+    gridRowEnd: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 'auto']),
+    gridAutoColumns: scale(['auto', 'min', 'max', 'fr']),
+    gridAutoRows: scale(['auto', 'min', 'max', 'fr']),
+    aspectRatio: scale(['auto', 'square', 'video']),
+    columns: scale([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 'auto', '3xs', '2xs', 'xs', 'sm', 'md',
+        'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl', '7xl']),
+    objectPosition: scale(['bottom', 'center', 'left', 'left-bottom', 'left-top', 'right',
+        'right-bottom', 'right-top', 'top']),
+    cursor: scale(['auto', 'default', 'pointer', 'wait', 'text', 'move', 'help', 'not-allowed',
+        'none', 'context-menu', 'progress', 'cell', 'crosshair', 'vertical-text', 'alias', 'copy',
+        'no-drop', 'grab', 'grabbing', 'all-scroll', 'col-resize', 'row-resize', 'n-resize',
+        'e-resize', 's-resize', 'w-resize', 'ne-resize', 'nw-resize', 'se-resize', 'sw-resize',
+        'ew-resize', 'ns-resize', 'nesw-resize', 'nwse-resize', 'zoom-in', 'zoom-out']),
+    willChange: scale(['auto', 'scroll', 'contents', 'transform']),
+    fill: { none: 'none' },
+    stroke: { none: 'none' }
+};
+
+module.exports = {
+    colors,
+    breakpoints,
+    theme
+};
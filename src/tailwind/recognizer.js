@@ -0,0 +1,548 @@
+const fs = require('fs');
+const path = require('path');
+const defaultTheme = require('./default-theme');
+const { STATIC_UTILITIES, FUNCTIONAL_UTILITIES, COLOR_THEME_KEYS } = require('./utilities');
+const { findCssEntries } = require('./css-entry');
+const { getBareUtility } = require('./class-syntax');
+const { readConfigStatically, getConfigExt } = require('./config-file');
+
+/**
+ * Tailwind config file names, in lookup order
+ */
+const CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts'];
+
+/**
+ * Theme keys Tailwind derives from `theme.spacing`
+ */
+const SPACING_THEME_KEYS = [
+    'padding', 'margin', 'gap', 'space', 'inset', 'width', 'minWidth', 'maxWidth', 'height',
+    'minHeight', 'maxHeight', 'size', 'translate', 'scrollMargin', 'scrollPadding', 'textIndent',
+    'flexBasis', 'borderSpacing'
+];
+
+/**
+ * Tailwind v4 `@theme` variable namespaces and the theme keys they feed, longest first
+ * so `--font-weight-*` isn't read as a font family
+ */
+const THEME_NAMESPACES = [
+    ['inset-shadow', 'boxShadow'],
+    ['drop-shadow', 'dropShadow'],
+    ['font-weight', 'fontWeight'],
+    ['breakpoint', 'screens'],
+    ['container', 'maxWidth'],
+    ['tracking', 'letterSpacing'],
+    ['leading', 'lineHeight'],
+    ['animate', 'animation'],
+    ['spacing', 'spacing'],
+    ['aspect', 'aspectRatio'],
+    ['radius', 'borderRadius'],
+    ['shadow', 'boxShadow'],
+    ['color', 'colors'],
+    ['font', 'fontFamily'],
+    ['text', 'fontSize'],
+    ['blur', 'blur'],
+    ['ease', 'transitionTimingFunction']
+];
+
+/**
+ * Values added to the default theme by Tailwind v4
+ */
+const V4_THEME_ADDITIONS = {
+    boxShadow: ['2xs', 'xs'],
+    dropShadow: ['xs'],
+    borderRadius: ['xs'],
+    blur: ['xs'],
+    backgroundImage: ['linear-to-t', 'linear-to-tr', 'linear-to-r', 'linear-to-br', 'linear-to-b',
+        'linear-to-bl', 'linear-to-l', 'linear-to-tl']
+};
+
+/**
+ * Read a dotted path (`colors.red.500`) from an object
+ * @param {Object} object - Object to read
+ * @param {string} keyPath - Dotted path
+ * @param {*} [fallback] - Value when the path is missing
+ * @returns {*} Value at the path
+ */
+function getPath(object, keyPath, fallback) {
+    const value = String(keyPath)
+        .split('.')
+        .reduce((current, key) => (current == null ? undefined : current[key]), object);
+    return value === undefined ? fallback : value;
+}
+
+/**
+ * Flatten a theme scale into the value names utilities can use:
+ * `{ red: { 500: ..., DEFAULT: ... } }` -> red-500, red
+ * @param {Object} scale - Theme scale
+ * @returns {Set<string>} Value names; '' when the scale has a top-level DEFAULT
+ */
+function flattenScale(scale) {
+    const names = new Set();
+    const walk = (object, prefix) => {
+        for (const [key, value] of Object.entries(object || {})) {
+            const name = key === 'DEFAULT' ? prefix : (prefix ? `${prefix}-${key}` : key);
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                walk(value, name);
+            } else {
+                names.add(name);
+            }
+        }
+    };
+    walk(scale, '');
+    return names;
+}
+
+/**
+ * Deep-merge plain objects, `source` winning on conflicts
+ * @param {Object} target - Base object
+ * @param {Object} source - Overrides
+ * @returns {Object} New merged object
+ */
+function mergeDeep(target, source) {
+    const result = { ...target };
+    for (const [key, value] of Object.entries(source || {})) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && result[key] && typeof result[key] === 'object'
+            ? mergeDeep(result[key], value)
+            : value;
+    }
+    return result;
+}
+
+/**
+ * Knows which class names Tailwind generates CSS for: core utility families with the theme's
+ * value scales, arbitrary values and properties, and whatever the project's config adds through
+ * theme extensions, plugins and the safelist.
+ */
+class TailwindClassRecognizer {
+    /**
+     * @param {Object} [options] - Recognizer options
+     * @param {Object} [options.config] - Tailwind config object
+     * @param {Object} [options.theme] - Fully resolved theme; built from `config` when omitted
+     * @param {string} [options.configPath] - Where the config was loaded from
+     * @param {number} [options.version=3] - Tailwind major version
+     * @param {string} [options.css] - v4 CSS entry content with `@theme` and `@utility` rules
+     * @param {Function} [options.log] - Logger `(level, message)`
+     */
+    constructor({ config = {}, theme = null, configPath = null, version = 3, css = '', log = () => {} } = {}) {
+        this.config = config;
+        this.configPath = configPath;
+        this.version = version;
+        this.log = log;
+
+        this.customUtilities = new Set();
+        this.customRoots = new Map();
+        this.variants = new Set();
+        this.safelist = new Set();
+        this.safelistPatterns = [];
+        this.scaleCache = new Map();
+
+        const plugins = this.collectPlugins(config);
+        this.theme = theme || this.resolveTheme(config, plugins);
+        this.loadPlugins(plugins);
+        this.loadSafelist(config.safelist || []);
+        if (version === 4) {
+            this.addThemeValues(V4_THEME_ADDITIONS);
+            this.loadCss(css);
+        }
+    }
+
+    /**
+     * Build a recognizer from the Tailwind config found in `sourceDir` or its ancestors
+     * @param {string} sourceDir - Directory to start searching from
+     * @param {Object} [options] - Load options
+     * @param {string} [options.configPath] - Explicit config file, skipping discovery
+     * @param {number} [options.version=3] - Tailwind major version; v4 reads the CSS entry files
+     *   and only loads a JS config named by `--tailwind-config` or an `@config` rule
+     * @param {Function} [options.log] - Logger `(level, message)`
+     * @returns {TailwindClassRecognizer} Recognizer (default theme only when no config is found)
+     * @throws {Error} If a config is found but can't be loaded
+     */
+    static fromProject(sourceDir, { configPath = null, version = 3, log = () => {} } = {}) {
+        if (version === 4) return TailwindClassRecognizer.fromCssEntries(sourceDir, { configPath, log });
+
+        const resolvedPath = configPath ? path.resolve(configPath) : TailwindClassRecognizer.findConfig(sourceDir);
+        if (!resolvedPath) {
+            log('debug', 'No Tailwind config found, recognizing default theme utilities only');
+            return new TailwindClassRecognizer({ log });
+        }
+
+        const config = TailwindClassRecognizer.loadConfig(resolvedPath, { log });
+
+        // Prefer the project's own resolver when tailwindcss is installed
+        let theme = null;
+        try {
+            const resolveConfig = require(require.resolve('tailwindcss/resolveConfig', { paths: [path.dirname(resolvedPath)] }));
+            theme = resolveConfig(config).theme;
+        } catch {
+            log('debug', 'tailwindcss not installed in the project, resolving the theme from the built-in defaults');
+        }
+
+        log('debug', `Using Tailwind config: ${resolvedPath}`);
+        return new TailwindClassRecognizer({ config, theme, configPath: resolvedPath, log });
+    }
+
+    /**
+     * Build a v4 recognizer from the project's CSS entry files and any JS config they
+     * reference with `@config`
+     * @param {string} sourceDir - Directory to search for entry files
+     * @param {Object} [options] - Load options
+     * @param {string} [options.configPath] - Explicit JS config file
+     * @param {Function} [options.log] - Logger `(level, message)`
+     * @returns {TailwindClassRecognizer} Recognizer
+     */
+    static fromCssEntries(sourceDir, { configPath = null, log = () => {} } = {}) {
+        const entries = findCssEntries(sourceDir);
+        if (entries.length === 0) log('debug', 'No Tailwind CSS entry found, recognizing default theme utilities only');
+
+        let css = '';
+        let resolvedPath = configPath ? path.resolve(configPath) : null;
+        for (const entry of entries) {
+            const content = fs.readFileSync(entry, 'utf8');
+            css += content + '\n';
+            const configRule = /@config\s+(["'])(.+?)\1/.exec(content);
+            if (!resolvedPath && configRule) resolvedPath = path.resolve(path.dirname(entry), configRule[2]);
+            log('debug', `Using Tailwind CSS entry: ${entry}`);
+        }
+
+        const config = resolvedPath ? TailwindClassRecognizer.loadConfig(resolvedPath, { log }) : {};
+
+        return new TailwindClassRecognizer({ config, configPath: resolvedPath, version: 4, css, log });
+    }
+
+    /**
+     * Load a Tailwind config file. CommonJS configs are run with `require()`; TypeScript and
+     * ESM configs, which Node can't require, are read statically from their source, leaving out
+     * values only known by running them (imported plugins, theme functions).
+     * @param {string} configPath - Config file
+     * @param {Object} [options] - Load options
+     * @param {Function} [options.log] - Logger `(level, message)`
+     * @returns {Object} Config object
+     * @throws {Error} If the config can neither be required nor read, since prefixing against
+     *   the default theme would miss the project's own utilities
+     */
+    static loadConfig(configPath, { log = () => {} } = {}) {
+        let requireError = null;
+        if (['.js', '.cjs'].includes(path.extname(configPath))) {
+            try {
+                delete require.cache[require.resolve(configPath)];
+                const loaded = require(configPath);
+                return loaded && loaded.default ? loaded.default : loaded;
+            } catch (error) {
+                requireError = error;
+                log('debug', `Could not require Tailwind config ${configPath}, reading it statically: ${error.message}`);
+            }
+        }
+
+        let result;
+        try {
+            result = readConfigStatically(fs.readFileSync(configPath, 'utf8'), { fileExt: getConfigExt(configPath) });
+        } catch (error) {
+            throw new Error(`Could not load Tailwind config ${configPath}: ${(requireError || error).message}`);
+        }
+        if (!result) {
+            const reason = requireError ? requireError.message : 'no exported config object found';
+            throw new Error(`Could not load Tailwind config ${configPath}: ${reason}`);
+        }
+
+        if (result.unresolved.length > 0) {
+            log('warn', `Tailwind config ${configPath} was read without running it; utilities from `
+                + `${result.unresolved.join(', ')} are not recognized and stay unprefixed`);
+        }
+        return result.config;
+    }
+
+    /**
+     * Look for a Tailwind config in `startDir` and its ancestors
+     * @param {string} startDir - Directory to start from
+     * @returns {string|null} Config path
+     */
+    static findConfig(startDir) {
+        let dir = path.resolve(startDir);
+        while (true) {
+            for (const fileName of CONFIG_FILES) {
+                const candidate = path.join(dir, fileName);
+                if (fs.existsSync(candidate)) return candidate;
+            }
+            const parent = path.dirname(dir);
+            if (parent === dir) return null;
+            dir = parent;
+        }
+    }
+
+    /**
+     * Plugins from the config and its presets, normalized to `{ handler, config }`
+     * @param {Object} config - Tailwind config
+     * @returns {Object[]} Plugins
+     */
+    collectPlugins(config) {
+        const raw = [
+            ...(config.presets || []).flatMap(preset => (preset && preset.plugins) || []),
+            ...(config.plugins || [])
+        ];
+
+        return raw.map(plugin => {
+            // plugin.withOptions() returns a function to call with the options
+            if (typeof plugin === 'function' && plugin.__isOptionsFunction) plugin = plugin();
+            if (typeof plugin === 'function') return { handler: plugin, config: {} };
+            if (plugin && typeof plugin.handler === 'function') return { handler: plugin.handler, config: plugin.config || {} };
+            return null;
+        }).filter(Boolean);
+    }
+
+    /**
+     * Merge the default theme with presets, plugin configs and the user's theme and `extend`
+     * @param {Object} config - Tailwind config
+     * @param {Object[]} plugins - Normalized plugins
+     * @returns {Object} Resolved theme
+     */
+    resolveTheme(config, plugins) {
+        const layers = [
+            ...(config.presets || []).map(preset => (preset && preset.theme) || {}),
+            ...plugins.map(plugin => plugin.config.theme || {}),
+            config.theme || {}
+        ];
+
+        let theme = { ...defaultTheme.theme };
+        const helpers = {
+            theme: (keyPath, fallback) => getPath(theme, keyPath, fallback),
+            colors: defaultTheme.colors,
+            breakpoints: screens => screens
+        };
+        const evaluate = value => (typeof value === 'function' ? value(helpers) : value);
+
+        for (const layer of layers) {
+            const { extend = {}, ...overrides } = layer;
+            for (const [key, value] of Object.entries(overrides)) {
+                theme[key] = evaluate(value);
+            }
+            for (const [key, value] of Object.entries(extend)) {
+                const base = theme[key] || (COLOR_THEME_KEYS.has(key) ? theme.colors : {});
+                theme[key] = mergeDeep(base, evaluate(value));
+            }
+
+            // Keys derived from spacing pick up custom spacing values
+            if (overrides.spacing || extend.spacing) {
+                for (const key of SPACING_THEME_KEYS) {
+                    if (!(key in overrides)) theme[key] = { ...theme[key], ...theme.spacing };
+                }
+            }
+        }
+
+        return theme;
+    }
+
+    /**
+     * Run plugin handlers against a recording API to learn the utilities they add
+     * @param {Object[]} plugins - Normalized plugins
+     */
+    loadPlugins(plugins) {
+        const addSelectors = (styles) => {
+            for (const block of [].concat(styles || [])) {
+                for (const [selector, value] of Object.entries(block || {})) {
+                    const classPattern = /\.((?:\\.|[\w-])+)/g;
+                    let match;
+                    while ((match = classPattern.exec(selector)) !== null) {
+                        this.customUtilities.add(match[1].replace(/\\(.)/g, '$1'));
+                    }
+                    // Nested at-rules: { '@media ...': { '.foo': {...} } }
+                    if (selector.startsWith('@') && value && typeof value === 'object') addSelectors(value);
+                }
+            }
+        };
+        const addRoots = (utilities, { values } = {}) => {
+            for (const name of Object.keys(utilities || {})) {
+                this.customRoots.set(name, values ? flattenScale(values) : null);
+            }
+        };
+
+        const api = {
+            addUtilities: addSelectors,
+            addComponents: addSelectors,
+            matchUtilities: addRoots,
+            matchComponents: addRoots,
+            addBase: () => {},
+            addDefaults: () => {},
+            addVariant: name => this.variants.add(name),
+            matchVariant: name => this.variants.add(name),
+            theme: (keyPath, fallback) => getPath(this.theme, keyPath, fallback),
+            config: (keyPath, fallback) => (keyPath ? getPath(this.config, keyPath, fallback) : this.config),
+            corePlugins: () => true,
+            e: className => className.replace(/([^a-zA-Z0-9_-])/g, '\\$1'),
+            prefix: selector => selector
+        };
+
+        for (const plugin of plugins) {
+            try {
+                plugin.handler(api);
+            } catch (error) {
+                this.log('warn', `Tailwind plugin failed while collecting utilities: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Add value names to theme scales
+     * @param {Object<string, string[]>} additions - Value names per theme key
+     */
+    addThemeValues(additions) {
+        for (const [key, names] of Object.entries(additions)) {
+            this.theme[key] = { ...this.theme[key], ...Object.fromEntries(names.map(name => [name, name])) };
+            if (key === 'spacing') {
+                for (const spacingKey of SPACING_THEME_KEYS) {
+                    this.theme[spacingKey] = { ...this.theme[spacingKey], ...this.theme.spacing };
+                }
+            }
+        }
+        this.scaleCache.clear();
+    }
+
+    /**
+     * Read the v4 CSS-first configuration: `@theme` variables extend the theme scales,
+     * `@utility` rules add utilities (`name-*` ones add a root) and `@custom-variant` adds variants
+     * @param {string} css - CSS entry content
+     */
+    loadCss(css) {
+        const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+        const additions = {};
+
+        const themeBlock = /@theme\b[^{]*\{([^}]*)\}/g;
+        let block;
+        while ((block = themeBlock.exec(source)) !== null) {
+            const variable = /--([\w-]+)\s*:/g;
+            let match;
+            while ((match = variable.exec(block[1])) !== null) {
+                const name = match[1];
+                const namespace = THEME_NAMESPACES.find(([prefix]) => name.startsWith(`${prefix}-`));
+                // Resets (`--color-*: initial`) and sub-properties (`--text-lg--line-height`) add nothing
+                if (!namespace || name.includes('--') || name.endsWith('-*')) continue;
+                const [prefix, themeKey] = namespace;
+                (additions[themeKey] = additions[themeKey] || []).push(name.slice(prefix.length + 1));
+            }
+        }
+        this.addThemeValues(additions);
+
+        const utility = /@utility\s+([\w-]+?)(-\*)?\s*\{/g;
+        let match;
+        while ((match = utility.exec(source)) !== null) {
+            if (match[2]) {
+                this.customRoots.set(match[1], null);
+            } else {
+                this.customUtilities.add(match[1]);
+            }
+        }
+
+        const variant = /@custom-variant\s+([\w-]+)/g;
+        while ((match = variant.exec(source)) !== null) this.variants.add(match[1]);
+    }
+
+    /**
+     * Record safelisted class names and patterns
+     * @param {Array<string|Object>} safelist - Config safelist
+     */
+    loadSafelist(safelist) {
+        for (const entry of safelist) {
+            if (typeof entry === 'string') {
+                this.safelist.add(entry);
+                this.safelist.add(getBareUtility(entry));
+            } else if (entry && entry.pattern instanceof RegExp) {
+                this.safelistPatterns.push(entry.pattern);
+            }
+        }
+    }
+
+    /**
+     * Value names of a theme scale, falling back to `colors` for color utilities
+     * @param {string} themeKey - Theme key such as `padding` or `backgroundColor`
+     * @returns {Set<string>} Value names
+     */
+    getScale(themeKey) {
+        if (!this.scaleCache.has(themeKey)) {
+            const scale = this.theme[themeKey] || (COLOR_THEME_KEYS.has(themeKey) ? this.theme.colors : null);
+            this.scaleCache.set(themeKey, flattenScale(scale));
+        }
+        return this.scaleCache.get(themeKey);
+    }
+
+    /**
+     * Check a value against the sources of a utility root
+     * @param {Array<string|string[]>|Set<string>|null} sources - Theme keys and keyword lists,
+     *   a plugin's value set, or null for a plugin root that accepts anything
+     * @param {string} value - Value part of the utility ('' for the bare root)
+     * @returns {boolean} True when the value exists
+     */
+    hasValue(sources, value) {
+        if (/^\[.+\]$/.test(value) || /^\(.+\)$/.test(value)) return true;
+        if (sources === null) return value !== '';
+        if (sources instanceof Set) return sources.has(value);
+
+        return sources.some(source => (Array.isArray(source)
+            ? source.includes(value)
+            : this.getScale(source).has(value) || this.isDynamicValue(source, value)));
+    }
+
+    /**
+     * Tailwind v4 accepts any number on numeric scales: spacing in steps of 0.25
+     * (`p-13`, `mt-2.25`), whole numbers elsewhere (`z-60`, `grid-cols-15`)
+     * @param {string} themeKey - Theme key of the scale
+     * @param {string} value - Value part of the utility
+     * @returns {boolean} True when v4 generates the value
+     */
+    isDynamicValue(themeKey, value) {
+        if (this.version !== 4 || !/^\d+(\.\d+)?$/.test(value)) return false;
+        if (themeKey === 'spacing' || SPACING_THEME_KEYS.includes(themeKey)) return (Number(value) * 4) % 1 === 0;
+        return /^\d+$/.test(value) && [...this.getScale(themeKey)].some(name => /^\d+$/.test(name));
+    }
+
+    /**
+     * Check a utility name against the core and plugin roots, trying every split point
+     * so roots containing dashes (`border-x`, `scroll-mt`) are found
+     * @param {string} name - Utility without negative sign
+     * @returns {boolean} True when some root accepts the rest as its value
+     */
+    matchesRoot(name) {
+        const candidates = [[name, '']];
+        for (let i = name.indexOf('-'); i !== -1; i = name.indexOf('-', i + 1)) {
+            candidates.push([name.slice(0, i), name.slice(i + 1)]);
+        }
+
+        return candidates.some(([root, value]) => {
+            if (this.customRoots.has(root) && (value !== '' || this.customRoots.get(root) !== null)) {
+                return this.hasValue(this.customRoots.get(root), value);
+            }
+            return Object.prototype.hasOwnProperty.call(FUNCTIONAL_UTILITIES, root)
+                && this.hasValue(FUNCTIONAL_UTILITIES[root], value);
+        });
+    }
+
+    /**
+     * Decide whether Tailwind would generate CSS for a utility
+     * @param {string} utility - Utility without variants, prefix or important flag (`-mt-4`, `bg-red-500/50`)
+     * @returns {boolean} True for real Tailwind utilities
+     */
+    isUtility(utility) {
+        if (!utility) return false;
+        if (this.safelist.has(utility) || this.safelistPatterns.some(pattern => pattern.test(utility))) return true;
+
+        const name = utility.startsWith('-') ? utility.slice(1) : utility;
+        if (this.customUtilities.has(name) || STATIC_UTILITIES.has(name)) return true;
+
+        // Arbitrary properties: [mask-type:luminance]
+        if (/^\[[a-zA-Z-]+:.+\]$/.test(name)) return true;
+
+        if (this.matchesRoot(name)) return true;
+
+        // Opacity and line-height modifiers: bg-red-500/50, text-lg/7, bg-black/[.15]
+        const slash = name.lastIndexOf('/');
+        if (slash > 0 && /^(\d+|\[.+\]|\(.+\))$/.test(name.slice(slash + 1))) {
+            return this.matchesRoot(name.slice(0, slash));
+        }
+
+        return false;
+    }
+}
+
+module.exports = {
+    CONFIG_FILES,
+    TailwindClassRecognizer
+};
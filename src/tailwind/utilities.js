@@ -0,0 +1,262 @@
+/**
+ * Tailwind core utilities that take no value (`flex`, `hidden`, `uppercase`)
+ */
+const STATIC_UTILITIES = new Set([
+    // Layout
+    'container', 'block', 'inline-block', 'inline', 'flex', 'inline-flex', 'table', 'inline-table',
+    'table-caption', 'table-cell', 'table-column', 'table-column-group', 'table-footer-group',
+    'table-header-group', 'table-row-group', 'table-row', 'flow-root', 'grid', 'inline-grid',
+    'contents', 'list-item', 'hidden', 'static', 'fixed', 'absolute', 'relative', 'sticky',
+    'visible', 'invisible', 'collapse', 'isolate', 'isolation-auto', 'box-border', 'box-content',
+    'box-decoration-clone', 'box-decoration-slice', 'float-start', 'float-end', 'float-right',
+    'float-left', 'float-none', 'clear-start', 'clear-end', 'clear-left', 'clear-right',
+    'clear-both', 'clear-none', 'object-contain', 'object-cover', 'object-fill', 'object-none',
+    'object-scale-down', 'overflow-auto', 'overflow-hidden', 'overflow-clip', 'overflow-visible',
+    'overflow-scroll', 'overflow-x-auto', 'overflow-y-auto', 'overflow-x-hidden', 'overflow-y-hidden',
+    'overflow-x-clip', 'overflow-y-clip', 'overflow-x-visible', 'overflow-y-visible',
+    'overflow-x-scroll', 'overflow-y-scroll',
+
+    // Flexbox and grid
+    'flex-row', 'flex-row-reverse', 'flex-col', 'flex-col-reverse', 'flex-wrap', 'flex-wrap-reverse',
+    'flex-nowrap', 'flex-1', 'flex-auto', 'flex-initial', 'flex-none', 'grow', 'shrink',
+    'grid-flow-row', 'grid-flow-col', 'grid-flow-dense', 'grid-flow-row-dense', 'grid-flow-col-dense',
+
+    // Typography
+    'antialiased', 'subpixel-antialiased', 'italic', 'not-italic', 'normal-nums', 'ordinal',
+    'slashed-zero', 'lining-nums', 'oldstyle-nums', 'proportional-nums', 'tabular-nums',
+    'diagonal-fractions', 'stacked-fractions', 'underline', 'overline', 'line-through',
+    'no-underline', 'uppercase', 'lowercase', 'capitalize', 'normal-case', 'truncate',
+    'text-ellipsis', 'text-clip', 'text-wrap', 'text-nowrap', 'text-balance', 'text-pretty',
+    'break-normal', 'break-words', 'break-all', 'break-keep', 'hyphens-none', 'hyphens-manual',
+    'hyphens-auto', 'whitespace-normal', 'whitespace-nowrap', 'whitespace-pre', 'whitespace-pre-line',
+    'whitespace-pre-wrap', 'whitespace-break-spaces', 'list-inside', 'list-outside',
+
+    // Borders, effects, filters
+    'border', 'border-solid', 'border-dashed', 'border-dotted', 'border-double', 'border-hidden',
+    'border-none', 'border-collapse', 'border-separate', 'rounded', 'shadow', 'outline',
+    'outline-none', 'outline-dashed', 'outline-dotted', 'outline-double', 'ring', 'ring-inset',
+    'blur', 'drop-shadow', 'grayscale', 'invert', 'sepia', 'filter', 'filter-none',
+    'backdrop-blur', 'backdrop-grayscale', 'backdrop-invert', 'backdrop-sepia', 'backdrop-filter',
+    'backdrop-filter-none', 'divide-x', 'divide-y', 'divide-x-reverse', 'divide-y-reverse',
+    'divide-solid', 'divide-dashed', 'divide-dotted', 'divide-double', 'divide-none',
+    'space-x-reverse', 'space-y-reverse',
+
+    // Transitions, transforms, interactivity
+    'transition', 'transform', 'transform-gpu', 'transform-cpu', 'transform-none', 'resize',
+    'resize-x', 'resize-y', 'resize-none', 'appearance-none', 'appearance-auto',
+    'pointer-events-none', 'pointer-events-auto', 'select-none', 'select-text', 'select-all',
+    'select-auto', 'scroll-auto', 'scroll-smooth', 'snap-start', 'snap-end', 'snap-center',
+    'snap-align-none', 'snap-normal', 'snap-always', 'snap-none', 'snap-x', 'snap-y', 'snap-both',
+    'snap-mandatory', 'snap-proximity', 'touch-auto', 'touch-none', 'touch-pan-x', 'touch-pan-left',
+    'touch-pan-right', 'touch-pan-y', 'touch-pan-up', 'touch-pan-down', 'touch-pinch-zoom',
+    'touch-manipulation',
+
+    // Accessibility and tables
+    'sr-only', 'not-sr-only', 'forced-color-adjust-auto', 'forced-color-adjust-none',
+    'table-auto', 'table-fixed', 'caption-top', 'caption-bottom', 'bg-fixed', 'bg-local',
+    'bg-scroll', 'bg-clip-border', 'bg-clip-padding', 'bg-clip-content', 'bg-clip-text',
+    'bg-repeat', 'bg-no-repeat', 'bg-repeat-x', 'bg-repeat-y', 'bg-repeat-round', 'bg-repeat-space',
+    'bg-none', 'mix-blend-normal', 'bg-blend-normal'
+]);
+
+const ALIGN_CONTENT = ['normal', 'center', 'start', 'end', 'between', 'around', 'evenly', 'baseline', 'stretch'];
+const ALIGN_ITEMS = ['start', 'end', 'center', 'baseline', 'stretch'];
+const BREAKS = ['auto', 'avoid', 'all', 'avoid-page', 'page', 'left', 'right', 'column'];
+const BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge',
+    'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color',
+    'luminosity', 'plus-darker', 'plus-lighter'];
+
+/**
+ * Roots of Tailwind core utilities that take a value (`p-4`, `bg-red-500`, `w-[10px]`), mapped to
+ * where their values come from: theme keys (strings) or fixed keyword lists (arrays)
+ */
+const FUNCTIONAL_UTILITIES = {
+    // Layout
+    aspect: ['aspectRatio'],
+    columns: ['columns'],
+    'break-after': [BREAKS],
+    'break-before': [BREAKS],
+    'break-inside': [['auto', 'avoid', 'avoid-page', 'avoid-column']],
+    object: ['objectPosition'],
+    overscroll: [['auto', 'contain', 'none']],
+    'overscroll-x': [['auto', 'contain', 'none']],
+    'overscroll-y': [['auto', 'contain', 'none']],
+    inset: ['inset'],
+    'inset-x': ['inset'],
+    'inset-y': ['inset'],
+    start: ['inset'],
+    end: ['inset'],
+    top: ['inset'],
+    right: ['inset'],
+    bottom: ['inset'],
+    left: ['inset'],
+    z: ['zIndex'],
+    order: ['order'],
+
+    // Flexbox and grid
+    basis: ['flexBasis'],
+    flex: ['flex'],
+    grow: ['flexGrow'],
+    shrink: ['flexShrink'],
+    'grid-cols': ['gridTemplateColumns'],
+    col: ['gridColumn'],
+    'col-start': ['gridColumnStart'],
+    'col-end': ['gridColumnEnd'],
+    'grid-rows': ['gridTemplateRows'],
+    row: ['gridRow'],
+    'row-start': ['gridRowStart'],
+    'row-end': ['gridRowEnd'],
+    'auto-cols': ['gridAutoColumns'],
+    'auto-rows': ['gridAutoRows'],
+    gap: ['gap'],
+    'gap-x': ['gap'],
+    'gap-y': ['gap'],
+    justify: [ALIGN_CONTENT],
+    'justify-items': [['start', 'end', 'center', 'stretch', 'normal']],
+    'justify-self': [['auto', 'start', 'end', 'center', 'stretch']],
+    content: [ALIGN_CONTENT.concat('none')],
+    items: [ALIGN_ITEMS],
+    self: [ALIGN_ITEMS.concat('auto')],
+    'place-content': [ALIGN_CONTENT],
+    'place-items': [ALIGN_ITEMS],
+    'place-self': [ALIGN_ITEMS.concat('auto')],
+
+    // Spacing and sizing
+    p: ['padding'], px: ['padding'], py: ['padding'], ps: ['padding'], pe: ['padding'],
+    pt: ['padding'], pr: ['padding'], pb: ['padding'], pl: ['padding'],
+    m: ['margin'], mx: ['margin'], my: ['margin'], ms: ['margin'], me: ['margin'],
+    mt: ['margin'], mr: ['margin'], mb: ['margin'], ml: ['margin'],
+    'space-x': ['space'],
+    'space-y': ['space'],
+    w: ['width'],
+    'min-w': ['minWidth'],
+    'max-w': ['maxWidth'],
+    h: ['height'],
+    'min-h': ['minHeight'],
+    'max-h': ['maxHeight'],
+    size: ['size'],
+
+    // Typography
+    font: ['fontFamily', 'fontWeight'],
+    text: ['fontSize', 'textColor', ['left', 'center', 'right', 'justify', 'start', 'end']],
+    tracking: ['letterSpacing'],
+    leading: ['lineHeight'],
+    'line-clamp': ['lineClamp'],
+    list: ['listStyleType'],
+    'list-image': ['listStyleImage'],
+    decoration: ['textDecorationColor', 'textDecorationThickness', ['solid', 'double', 'dotted', 'dashed', 'wavy', 'slice', 'clone']],
+    'underline-offset': ['textUnderlineOffset'],
+    indent: ['textIndent'],
+    align: [['baseline', 'top', 'middle', 'bottom', 'text-top', 'text-bottom', 'sub', 'super']],
+    placeholder: ['placeholderColor'],
+
+    // Backgrounds and gradients
+    bg: ['backgroundColor', 'backgroundImage', 'backgroundPosition', 'backgroundSize', ['origin-border', 'origin-padding', 'origin-content']],
+    from: ['gradientColorStops', 'gradientColorStopPositions'],
+    via: ['gradientColorStops', 'gradientColorStopPositions'],
+    to: ['gradientColorStops', 'gradientColorStopPositions'],
+
+    // Borders
+    rounded: ['borderRadius'], 'rounded-s': ['borderRadius'], 'rounded-e': ['borderRadius'],
+    'rounded-t': ['borderRadius'], 'rounded-r': ['borderRadius'], 'rounded-b': ['borderRadius'],
+    'rounded-l': ['borderRadius'], 'rounded-ss': ['borderRadius'], 'rounded-se': ['borderRadius'],
+    'rounded-ee': ['borderRadius'], 'rounded-es': ['borderRadius'], 'rounded-tl': ['borderRadius'],
+    'rounded-tr': ['borderRadius'], 'rounded-br': ['borderRadius'], 'rounded-bl': ['borderRadius'],
+    border: ['borderWidth', 'borderColor'], 'border-x': ['borderWidth', 'borderColor'],
+    'border-y': ['borderWidth', 'borderColor'], 'border-s': ['borderWidth', 'borderColor'],
+    'border-e': ['borderWidth', 'borderColor'], 'border-t': ['borderWidth', 'borderColor'],
+    'border-r': ['borderWidth', 'borderColor'], 'border-b': ['borderWidth', 'borderColor'],
+    'border-l': ['borderWidth', 'borderColor'],
+    'border-spacing': ['borderSpacing'],
+    'border-spacing-x': ['borderSpacing'],
+    'border-spacing-y': ['borderSpacing'],
+    divide: ['divideColor'],
+    'divide-x': ['borderWidth'],
+    'divide-y': ['borderWidth'],
+    outline: ['outlineWidth', 'outlineColor'],
+    'outline-offset': ['outlineOffset'],
+    ring: ['ringWidth', 'ringColor'],
+    'ring-offset': ['ringOffsetWidth', 'ringOffsetColor'],
+
+    // Effects and filters
+    shadow: ['boxShadow', 'boxShadowColor'],
+    opacity: ['opacity'],
+    'mix-blend': [BLEND_MODES],
+    'bg-blend': [BLEND_MODES],
+    blur: ['blur'],
+    brightness: ['brightness'],
+    contrast: ['contrast'],
+    'drop-shadow': ['dropShadow'],
+    grayscale: ['grayscale'],
+    'hue-rotate': ['hueRotate'],
+    invert: ['invert'],
+    saturate: ['saturate'],
+    sepia: ['sepia'],
+    'backdrop-blur': ['blur'],
+    'backdrop-brightness': ['brightness'],
+    'backdrop-contrast': ['contrast'],
+    'backdrop-grayscale': ['grayscale'],
+    'backdrop-hue-rotate': ['hueRotate'],
+    'backdrop-invert': ['invert'],
+    'backdrop-opacity': ['opacity'],
+    'backdrop-saturate': ['saturate'],
+    'backdrop-sepia': ['sepia'],
+
+    // Transitions and transforms
+    transition: ['transitionProperty'],
+    duration: ['transitionDuration'],
+    ease: ['transitionTimingFunction'],
+    delay: ['transitionDelay'],
+    animate: ['animation'],
+    scale: ['scale'],
+    'scale-x': ['scale'],
+    'scale-y': ['scale'],
+    rotate: ['rotate'],
+    'translate-x': ['translate'],
+    'translate-y': ['translate'],
+    'skew-x': ['skew'],
+    'skew-y': ['skew'],
+    origin: ['transformOrigin'],
+
+    // Interactivity and SVG
+    accent: ['accentColor', ['auto']],
+    caret: ['caretColor'],
+    cursor: ['cursor'],
+    'scroll-m': ['scrollMargin'], 'scroll-mx': ['scrollMargin'], 'scroll-my': ['scrollMargin'],
+    'scroll-ms': ['scrollMargin'], 'scroll-me': ['scrollMargin'], 'scroll-mt': ['scrollMargin'],
+    'scroll-mr': ['scrollMargin'], 'scroll-mb': ['scrollMargin'], 'scroll-ml': ['scrollMargin'],
+    'scroll-p': ['scrollPadding'], 'scroll-px': ['scrollPadding'], 'scroll-py': ['scrollPadding'],
+    'scroll-ps': ['scrollPadding'], 'scroll-pe': ['scrollPadding'], 'scroll-pt': ['scrollPadding'],
+    'scroll-pr': ['scrollPadding'], 'scroll-pb': ['scrollPadding'], 'scroll-pl': ['scrollPadding'],
+    'will-change': ['willChange'],
+    fill: ['fill'],
+    stroke: ['stroke', 'strokeWidth']
+};
+
+/**
+ * Theme keys that fall back to `theme.colors` when the theme doesn't define them
+ */
+const COLOR_THEME_KEYS = new Set([
+    'backgroundColor', 'textColor', 'borderColor', 'divideColor', 'outlineColor', 'ringColor',
+    'ringOffsetColor', 'gradientColorStops', 'textDecorationColor', 'accentColor', 'caretColor',
+    'fill', 'stroke', 'placeholderColor', 'boxShadowColor'
+]);
+
+/**
+ * Check whether a bare utility (no variants, prefix or important flag) belongs to a Tailwind
+ * core utility family. Only the root is checked, not whether the value exists in the theme.
+ * @param {string} utility - Utility such as `p-4` or `-mt-2`
+ * @returns {boolean} True for core utility names
+ */
+function isCoreUtility(utility) {
+    const name = utility.startsWith('-') ? utility.slice(1) : utility;
+    if (STATIC_UTILITIES.has(name)) return true;
+    return Object.keys(FUNCTIONAL_UTILITIES).some(root => name.startsWith(`${root}-`) && name.length > root.length + 1);
+}
+
+module.exports = {
+    STATIC_UTILITIES,
+    FUNCTIONAL_UTILITIES,
+    COLOR_THEME_KEYS,
+    isCoreUtility
+};
@@ -0,0 +1,99 @@
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+/**
+ * Fixed-size pool of worker threads running processContent, each with its own bot built from
+ * the same options. Tasks are queued until a worker is free.
+ */
+class WorkerPool {
+    /**
+     * @param {number} size - Number of workers
+     * @param {Object} botOptions - TailwindPrefixBot options (must be structured-cloneable)
+     */
+    constructor(size, botOptions) {
+        this.size = size;
+        this.botOptions = botOptions;
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.closed = false;
+
+        for (let i = 0; i < size; i++) this.addWorker();
+    }
+
+    /**
+     * Start a worker and route its results to the task it is running
+     */
+    addWorker() {
+        const worker = new Worker(path.join(__dirname, 'worker.js'), { workerData: { options: this.botOptions } });
+        worker.task = null;
+
+        worker.on('message', (message) => {
+            const { task } = worker;
+            worker.task = null;
+            if (message.error) task.reject(new Error(message.error));
+            else task.resolve(message);
+            this.release(worker);
+        });
+        worker.on('error', (error) => {
+            // A crashed worker fails its task and is replaced
+            if (worker.task) worker.task.reject(error);
+            this.workers = this.workers.filter(candidate => candidate !== worker);
+            this.idle = this.idle.filter(candidate => candidate !== worker);
+            if (!this.closed) this.addWorker();
+        });
+
+        this.workers.push(worker);
+        this.release(worker);
+    }
+
+    /**
+     * Give a free worker the next queued task, or mark it idle
+     * @param {Worker} worker - Worker that finished
+     */
+    release(worker) {
+        const task = this.queue.shift();
+        if (!task) {
+            this.idle.push(worker);
+            return;
+        }
+        worker.task = task;
+        worker.postMessage(task.message);
+    }
+
+    /**
+     * Process a file's content in a worker
+     * @param {string} filePath - File path, deciding the processor and override directory
+     * @param {string} content - File content
+     * @returns {Promise<{code: string, classesChanged: number, duration: number, report?: Object}>} Processed
+     *   content, number of changed classes, processing time in milliseconds, and the file's
+     *   `{ changes, skipped, warnings }` when the pool's options ask for a report
+     */
+    run(filePath, content) {
+        return new Promise((resolve, reject) => {
+            const task = { message: { filePath, content }, resolve, reject };
+            const worker = this.idle.shift();
+            if (!worker) {
+                this.queue.push(task);
+                return;
+            }
+            worker.task = task;
+            worker.postMessage(task.message);
+        });
+    }
+
+    /**
+     * Stop all workers
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closed = true;
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+        this.workers = [];
+        this.idle = [];
+    }
+}
+
+module.exports = {
+    WorkerPool
+};
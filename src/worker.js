@@ -0,0 +1,32 @@
+// Worker thread for WorkerPool: processes file contents with a bot built from the pool's options
+const { parentPort, workerData } = require('worker_threads');
+const TailwindPrefixBot = require('./index');
+
+const bot = new TailwindPrefixBot(workerData.options);
+
+parentPort.on('message', ({ filePath, content }) => {
+    const start = Date.now();
+    try {
+        const scope = bot.getScope(filePath);
+        const changedBefore = scope.stats.classesChanged;
+        let code;
+        let report;
+        if (bot.reportFile) {
+            const { code: transformed, changes, skipped, warnings } = scope.transformContent(
+                content, scope.getFileType(filePath), { skipped: true }
+            );
+            code = transformed;
+            report = { changes, skipped, warnings };
+        } else {
+            code = scope.processContent(content, filePath);
+        }
+        parentPort.postMessage({
+            code,
+            classesChanged: scope.stats.classesChanged - changedBefore,
+            duration: Date.now() - start,
+            report
+        });
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});